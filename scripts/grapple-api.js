@@ -0,0 +1,128 @@
+/**
+ * GURPS Grapple Party API
+ *
+ * Public entry point for macros and other modules, available as
+ * game.modules.get('gurps-grapple-party').api once the game is initialized.
+ * It drives the grapple system without reaching into GrappleUtils.state.
+ *
+ * Arranging and separating change token documents, so they only run on the
+ * executor GM (see GrappleUtils.isExecutor); on other clients they return false.
+ *
+ * Hooks fired by the module (see GrappleUtils.HOOKS):
+ * - gurpsGrappleParty.preArrange (hexKey, tokenIds): return false to cancel
+ * - gurpsGrappleParty.arranged (hexKey, tokenIds)
+ * - gurpsGrappleParty.separated (hexKey, tokenIds): the token left behind, then the ones that left
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+
+/**
+ * Static public API of the module
+ *
+ * @class GrappleApi
+ */
+export class GrappleApi {
+  /**
+   * Hook names fired by the module
+   * @static
+   * @constant {Object}
+   */
+  static HOOKS = GrappleUtils.HOOKS;
+
+  /**
+   * Re-arrange every occupant of a hex on the viewed scene
+   *
+   * @static
+   * @async
+   * @param {string} hexKey - Cell key, as passed to the module hooks
+   * @returns {Promise<boolean>} False if this client cannot arrange tokens
+   */
+  static async arrange(hexKey) {
+    if (!this.canWrite()) return false;
+    await GrappleUtils.batchUpdates(() => GrappleUtils.arrangeCell(hexKey));
+    return true;
+  }
+
+  /**
+   * Move tokens out of the hexes they share into free neighbouring hexes
+   *
+   * @static
+   * @async
+   * @param {string[]|Token[]|TokenDocument[]} tokens - Tokens to separate, or their IDs
+   * @returns {Promise<string[]|false>} IDs of the tokens moved, or false if this client cannot move tokens
+   */
+  static async separate(tokens) {
+    if (!this.canWrite()) return false;
+    const tokenIds = [tokens].flat().map(token => typeof token === 'string' ? token : token?.id).filter(Boolean);
+    return GrappleUtils.separateTokens(tokenIds);
+  }
+
+  /**
+   * Get the tokens sharing a hex, in arrival order
+   *
+   * @static
+   * @param {string|Token|TokenDocument} tokenOrKey - A cell key, or a token whose center hex is used
+   * @returns {TokenDocument[]} Visible occupants of the hex
+   */
+  static getOccupants(tokenOrKey) {
+    if (!GrappleUtils.isRunning()) return [];
+    const key = typeof tokenOrKey === 'string'
+      ? tokenOrKey
+      : GrappleUtils.getTokenKeys(tokenOrKey?.id)[0];
+    if (!key) return [];
+
+    return GrappleUtils.getVisibleOccupants(key)
+      .map(id => canvas.scene.tokens.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the scale a token has when it stands alone in its hex
+   *
+   * @static
+   * @param {Token|TokenDocument} token - The token
+   * @returns {number} Original scale of the token
+   */
+  static getOriginalScale(token) {
+    return GrappleUtils.getSoloScale(token?.document ?? token);
+  }
+
+  /**
+   * Turn the grapple system on for every client
+   *
+   * @static
+   * @async
+   * @returns {Promise<void>}
+   */
+  static async enable() {
+    await game.settings.set(GrappleUtils.MODULE_ID, 'moduleEnabled', true);
+  }
+
+  /**
+   * Turn the grapple system off for every client
+   *
+   * @static
+   * @async
+   * @returns {Promise<void>}
+   */
+  static async disable() {
+    await game.settings.set(GrappleUtils.MODULE_ID, 'moduleEnabled', false);
+  }
+
+  /**
+   * Check whether this client may change token documents through the API
+   *
+   * @static
+   * @returns {boolean} True if the module is running and this client is the executor
+   */
+  static canWrite() {
+    if (!GrappleUtils.isRunning() || !GrappleUtils.isExecutor()) {
+      console.warn(`${GrappleUtils.MODULE_ID} | Only the GM arranging this scene can arrange tokens while the module is enabled`);
+      return false;
+    }
+    return true;
+  }
+}
@@ -0,0 +1,316 @@
+/**
+ * GURPS Grapple Party Chat Commands
+ *
+ * Parses the /gp chat command and its subcommands. Replies are whispered to the
+ * user who typed the command, so nothing ends up in the public chat log.
+ *
+ * Players may use the read-only subcommands (status, help); everything else is
+ * reserved for GMs.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+import { GrappleApi } from './grapple-api.js';
+
+/**
+ * Static chat command handlers
+ *
+ * @class GrappleCommands
+ */
+export class GrappleCommands {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Available subcommands
+   * Each entry names its handler, whether it is reserved for GMs and its usage line
+   * @static
+   * @constant {Object}
+   */
+  static COMMANDS = {
+    status: { handler: 'status', gmOnly: false, usage: '/gp status' },
+    help: { handler: 'help', gmOnly: false, usage: '/gp help' },
+    on: { handler: 'enableModule', gmOnly: true, usage: '/gp on' },
+    off: { handler: 'disableModule', gmOnly: true, usage: '/gp off' },
+    reset: { handler: 'reset', gmOnly: true, usage: '/gp reset [selected|scene|all]' },
+    separate: { handler: 'separate', gmOnly: true, usage: '/gp separate' },
+    arrange: { handler: 'arrange', gmOnly: true, usage: '/gp arrange' },
+    scale: { handler: 'setPairScale', gmOnly: true, usage: '/gp scale <n>' },
+    distance: { handler: 'setCenterDistance', gmOnly: true, usage: '/gp distance <n>' }
+  };
+
+  /**
+   * Scopes accepted by /gp reset
+   * @static
+   * @constant {Object}
+   */
+  static RESET_SCOPES = {
+    SELECTED: 'selected',
+    SCENE: 'scene',
+    ALL: 'all'
+  };
+
+  /**
+   * Handle a chat message, running it if it is a /gp command
+   *
+   * @static
+   * @param {string} message - The raw chat message
+   * @returns {boolean} False if the message was a /gp command and must not be posted
+   */
+  static handleChatMessage(message) {
+    const match = message.trim().match(/^\/gp(?:\s+(.*))?$/i);
+    if (!match) return true;
+
+    const [subcommand = 'help', ...args] = (match[1] ?? '').trim().split(/\s+/).filter(Boolean);
+    this.run(subcommand.toLowerCase(), args).catch(error => {
+      console.error(`${this.MODULE_ID} | Error running /gp ${subcommand}:`, error);
+    });
+    return false;
+  }
+
+  /**
+   * Run a subcommand
+   *
+   * @static
+   * @async
+   * @param {string} subcommand - Lowercase subcommand name
+   * @param {string[]} args - Remaining words of the command
+   */
+  static async run(subcommand, args) {
+    const command = this.COMMANDS[subcommand];
+    if (!command) {
+      await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.unknown', { command: subcommand }));
+      return;
+    }
+    if (command.gmOnly && !game.user.isGM) {
+      await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.gmOnly', { command: subcommand }));
+      return;
+    }
+    await this[command.handler](args);
+  }
+
+  /**
+   * Whisper a reply to the current user
+   *
+   * @static
+   * @async
+   * @param {string} content - HTML content of the reply
+   * @returns {Promise<ChatMessage>} The created message
+   */
+  static async whisper(content) {
+    return ChatMessage.create({
+      content,
+      speaker: { alias: game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.speaker') },
+      whisper: [game.user.id]
+    });
+  }
+
+  /**
+   * /gp status: list the shared hexes of the viewed scene and who is in them
+   *
+   * @static
+   * @async
+   */
+  static async status() {
+    if (!GrappleUtils.isRunning()) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.status.disabled'));
+      return;
+    }
+
+    const lines = [];
+    for (const key of GrappleUtils.sceneState.cells.keys()) {
+      const occupants = GrappleApi.getOccupants(key);
+      if (occupants.length < 2) continue;
+      const names = occupants.map(tokenDoc => Handlebars.escapeExpression(tokenDoc.name)).join(', ');
+      lines.push(`<li><strong>${key}</strong>: ${names}</li>`);
+    }
+
+    const header = game.i18n.format('GURPS_GRAPPLE_PARTY.commands.status.header', {
+      scene: Handlebars.escapeExpression(canvas.scene.name)
+    });
+    await this.whisper(lines.length
+      ? `<p>${header}</p><ul>${lines.join('')}</ul>`
+      : `<p>${header}</p><p>${game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.status.none')}</p>`);
+  }
+
+  /**
+   * /gp help: list the subcommands available to the current user
+   *
+   * @static
+   * @async
+   */
+  static async help() {
+    const lines = Object.entries(this.COMMANDS)
+      .filter(([, command]) => game.user.isGM || !command.gmOnly)
+      .map(([name, command]) =>
+        `<li><code>${Handlebars.escapeExpression(command.usage)}</code>: ${game.i18n.localize(`GURPS_GRAPPLE_PARTY.commands.help.${name}`)}</li>`
+      );
+    await this.whisper(`<p>${game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.help.header')}</p><ul>${lines.join('')}</ul>`);
+  }
+
+  /**
+   * /gp on: enable the module for every client
+   *
+   * @static
+   * @async
+   */
+  static async enableModule() {
+    try {
+      await GrappleApi.enable();
+      ui.notifications.info(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.moduleEnabled') || 'GURPS Grapple Party: Módulo ativado');
+      console.log(`${this.MODULE_ID} | Module enabled`);
+    } catch (error) {
+      console.error(`${this.MODULE_ID} | Error enabling module:`, error);
+      ui.notifications.error('Erro ao ativar o módulo');
+    }
+  }
+
+  /**
+   * /gp off: disable the module for every client
+   *
+   * @static
+   * @async
+   */
+  static async disableModule() {
+    try {
+      await GrappleApi.disable();
+      ui.notifications.info(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.moduleDisabled') || 'GURPS Grapple Party: Módulo desativado');
+      console.log(`${this.MODULE_ID} | Module disabled`);
+    } catch (error) {
+      console.error(`${this.MODULE_ID} | Error disabling module:`, error);
+      ui.notifications.error('Erro ao desativar o módulo');
+    }
+  }
+
+  /**
+   * /gp reset [selected|scene|all]: restore original scales and clear module flags
+   * Defaults to the visible tokens of the viewed scene
+   *
+   * @static
+   * @async
+   * @param {string[]} args - Optional scope
+   */
+  static async reset([scope = this.RESET_SCOPES.SCENE]) {
+    let tokens;
+    switch (scope.toLowerCase()) {
+      case this.RESET_SCOPES.SELECTED:
+        tokens = canvas.tokens.controlled.map(token => token.document);
+        break;
+      case this.RESET_SCOPES.SCENE:
+        tokens = canvas.scene?.tokens.contents.filter(tokenDoc => !tokenDoc.hidden) ?? [];
+        break;
+      case this.RESET_SCOPES.ALL:
+        tokens = game.scenes.contents.flatMap(scene => scene.tokens.contents.filter(tokenDoc => !tokenDoc.hidden));
+        break;
+      default:
+        await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.usage', { usage: this.COMMANDS.reset.usage }));
+        return;
+    }
+
+    if (!tokens.length) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.noTokens'));
+      return;
+    }
+
+    await GrappleUtils.resetTokens(tokens);
+    await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.tokensReset', { count: tokens.length }));
+  }
+
+  /**
+   * /gp separate: step the selected tokens out of the hexes they share
+   *
+   * @static
+   * @async
+   */
+  static async separate() {
+    const tokenIds = canvas.tokens.controlled.map(token => token.id);
+    if (!tokenIds.length) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.noSelection'));
+      return;
+    }
+
+    const moved = await GrappleApi.separate(tokenIds);
+    if (moved === false) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.notExecutor'));
+      return;
+    }
+    await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.separated', { count: moved.length }));
+  }
+
+  /**
+   * /gp arrange: re-run the layout on the selected token's hex
+   *
+   * @static
+   * @async
+   */
+  static async arrange() {
+    const [token] = canvas.tokens.controlled;
+    const [key] = token ? GrappleUtils.getTokenKeys(token.id) : [];
+    if (!key) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.noSelection'));
+      return;
+    }
+
+    if (!await GrappleApi.arrange(key)) {
+      await this.whisper(game.i18n.localize('GURPS_GRAPPLE_PARTY.commands.notExecutor'));
+      return;
+    }
+    await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.arranged', { hex: key }));
+  }
+
+  /**
+   * /gp scale <n>: change the paired token scale
+   *
+   * @static
+   * @async
+   * @param {string[]} args - The new value
+   */
+  static async setPairScale([value]) {
+    await this.setNumberSetting('pairScale', 'scale', value);
+  }
+
+  /**
+   * /gp distance <n>: change the center distance
+   *
+   * @static
+   * @async
+   * @param {string[]} args - The new value
+   */
+  static async setCenterDistance([value]) {
+    await this.setNumberSetting('centerDistance', 'distance', value);
+  }
+
+  /**
+   * Set a numeric setting from a command argument, within the setting's range
+   *
+   * @static
+   * @async
+   * @param {string} setting - Setting key
+   * @param {string} subcommand - Subcommand name, for the usage reply
+   * @param {string} value - Raw argument
+   */
+  static async setNumberSetting(setting, subcommand, value) {
+    const { range } = game.settings.settings.get(`${this.MODULE_ID}.${setting}`);
+    const number = Number(value);
+    if (value === undefined || isNaN(number) || number < range.min || number > range.max) {
+      await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.invalidNumber', {
+        usage: this.COMMANDS[subcommand].usage,
+        min: range.min,
+        max: range.max
+      }));
+      return;
+    }
+
+    await game.settings.set(this.MODULE_ID, setting, number);
+    await this.whisper(game.i18n.format('GURPS_GRAPPLE_PARTY.commands.settingChanged', {
+      setting: game.i18n.localize(`GURPS_GRAPPLE_PARTY.settings.${setting}.name`),
+      value: number
+    }));
+  }
+}
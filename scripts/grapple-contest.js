@@ -0,0 +1,398 @@
+/**
+ * GURPS Grapple Party Quick Contests
+ *
+ * Optional Quick Contest (B348) for tokens that try to break free from a grapple or
+ * enter an occupied hex. Instead of moving, the token posts a chat card offering a
+ * contest of ST, DX or Grappling (the best of Wrestling, Judo and Sumo Wrestling)
+ * against its opponent. The move only goes ahead if the mover wins; otherwise the
+ * token stays where it was and the tokens stay paired.
+ *
+ * {@link GrappleContest.resolve} is a pure function of the levels and the dice, so
+ * contests can be checked without a running game and with any dice roller.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+import { GrappleLinks } from './grapple-links.js';
+
+/**
+ * Static helpers for Quick Contests
+ *
+ * @class GrappleContest
+ */
+export class GrappleContest {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Chat card template path
+   * @static
+   * @constant {string}
+   */
+  static TEMPLATE = 'modules/gurps-grapple-party/templates/quick-contest.html';
+
+  /**
+   * When contests are asked for (quickContest setting)
+   * @static
+   * @constant {Object}
+   */
+  static MODES = {
+    OFF: 'off',
+    BREAK_FREE: 'breakFree',
+    ALL: 'all'
+  };
+
+  /**
+   * Situations that start a contest
+   * @static
+   * @constant {Object}
+   */
+  static KINDS = {
+    BREAK_FREE: 'breakFree',
+    ENTER: 'enter'
+  };
+
+  /**
+   * Traits a contest can be rolled against
+   * @static
+   * @constant {Object}
+   */
+  static TRAITS = {
+    ST: 'st',
+    DX: 'dx',
+    GRAPPLING: 'grappling'
+  };
+
+  /**
+   * Skills counted for a Grappling contest
+   * @static
+   * @constant {string[]}
+   */
+  static GRAPPLING_SKILLS = ['Wrestling', 'Judo', 'Sumo Wrestling'];
+
+  /**
+   * Grappling level of an actor that knows none of the skills, relative to DX (Wrestling default)
+   * @static
+   * @constant {number}
+   */
+  static GRAPPLING_DEFAULT = -4;
+
+  /**
+   * Attribute level used when the actor has no data for it
+   * @static
+   * @constant {number}
+   */
+  static DEFAULT_LEVEL = 10;
+
+  /**
+   * IDs of the contest cards this client is rolling, so a card is never rolled twice
+   * @static
+   * @type {Set<string>}
+   */
+  static rolling = new Set();
+
+  /**
+   * Get current contest mode from game settings
+   *
+   * @static
+   * @returns {string} One of {@link GrappleContest.MODES}
+   */
+  static getMode() {
+    return game.settings.get(this.MODULE_ID, 'quickContest') ?? this.MODES.OFF;
+  }
+
+  // ========== Resolution ==========
+
+  /**
+   * Check whether a 3d6 roll succeeds against a level
+   * 3 and 4 always succeed, 17 and 18 always fail
+   *
+   * @static
+   * @param {number} level - Effective level
+   * @param {number} roll - Total of 3d6
+   * @returns {boolean} True if the roll succeeds
+   */
+  static isSuccess(level, roll) {
+    if (roll <= 4) return true;
+    if (roll >= 17) return false;
+    return roll <= level;
+  }
+
+  /**
+   * Resolve a Quick Contest from both sides' levels and rolls
+   * If only one side succeeds it wins; otherwise the larger margin wins. Equal margins
+   * are a tie, which nobody wins.
+   *
+   * @static
+   * @param {{level: number, roll: number}} mover - The side starting the contest
+   * @param {{level: number, roll: number}} opponent - The side resisting it
+   * @returns {{winner: string|null, mover: Object, opponent: Object}} 'mover', 'opponent' or null
+   *   for a tie, with the success and margin of each side
+   */
+  static resolve(mover, opponent) {
+    const sides = { mover, opponent };
+    const results = {};
+    for (const [side, { level, roll }] of Object.entries(sides)) {
+      results[side] = { level, roll, success: this.isSuccess(level, roll), margin: level - roll };
+    }
+
+    let winner = null;
+    if (results.mover.success !== results.opponent.success) {
+      winner = results.mover.success ? 'mover' : 'opponent';
+    } else if (results.mover.margin !== results.opponent.margin) {
+      winner = results.mover.margin > results.opponent.margin ? 'mover' : 'opponent';
+    }
+    return { winner, ...results };
+  }
+
+  // ========== Actor Data ==========
+
+  /**
+   * Get the level an actor rolls against for a trait
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @param {string} trait - One of {@link GrappleContest.TRAITS}
+   * @returns {number} Effective level
+   */
+  static getLevel(actor, trait) {
+    const attribute = (name) => {
+      const value = Number(actor?.system?.attributes?.[name]?.value);
+      return isNaN(value) || value <= 0 ? this.DEFAULT_LEVEL : value;
+    };
+
+    switch (trait) {
+      case this.TRAITS.ST:
+        return attribute('ST');
+      case this.TRAITS.DX:
+        return attribute('DX');
+      default:
+        return this.getGrapplingLevel(actor) ?? attribute('DX') + this.GRAPPLING_DEFAULT;
+    }
+  }
+
+  /**
+   * Get the best level among an actor's grappling skills
+   * GURPS skills are nested lists whose entries may hold more skills under `contains`
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {number|null} Best skill level, or null if the actor knows none of them
+   */
+  static getGrapplingLevel(actor) {
+    const levels = [];
+    const walk = (entries) => {
+      for (const entry of Object.values(entries ?? {})) {
+        if (!entry || typeof entry !== 'object') continue;
+        const level = Number(entry.level);
+        if (this.GRAPPLING_SKILLS.some(name => entry.name?.startsWith(name)) && !isNaN(level)) {
+          levels.push(level);
+        }
+        walk(entry.contains);
+      }
+    };
+    walk(actor?.system?.skills);
+    return levels.length ? Math.max(...levels) : null;
+  }
+
+  // ========== Contest Detection ==========
+
+  /**
+   * Find the contest a move starts, if any
+   * A token held by a grappler in the cells it leaves must break free; otherwise, in
+   * the "all" mode, a token entering an occupied cell contests its first occupant.
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The moving token
+   * @param {string[]} oldKeys - Cells the token is leaving
+   * @param {string[]} newKeys - Cells the token is entering
+   * @returns {{kind: string, opponentId: string}|null} The contest, or null if the move is free
+   */
+  static findContest(tokenDoc, oldKeys, newKeys) {
+    const mode = this.getMode();
+    if (mode === this.MODES.OFF || !GrappleUtils.isAutoArrangeActive()) return null;
+
+    const leaving = oldKeys.filter(key => !newKeys.includes(key));
+    const left = leaving.flatMap(key => GrappleUtils.getVisibleOccupants(key));
+    const holder = GrappleLinks.getGrapplers(tokenDoc.id, tokenDoc.parent)
+      .find(grapplerDoc => left.includes(grapplerDoc.id));
+    if (holder) return { kind: this.KINDS.BREAK_FREE, opponentId: holder.id };
+
+    if (mode !== this.MODES.ALL) return null;
+    for (const key of newKeys.filter(key => !oldKeys.includes(key))) {
+      const occupants = GrappleUtils.getVisibleOccupants(key).filter(id => id !== tokenDoc.id);
+      if (!occupants.length) continue;
+
+      const firstId = GrappleUtils.sceneState.firstInCell.get(key);
+      return { kind: this.KINDS.ENTER, opponentId: occupants.includes(firstId) ? firstId : occupants[0] };
+    }
+    return null;
+  }
+
+  // ========== Chat Card ==========
+
+  /**
+   * Post the contest card for a move that was held back
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The moving token
+   * @param {Object} changes - The held-back changes, replayed if the mover wins and has not moved since
+   * @param {{kind: string, opponentId: string}} contest - Result of {@link GrappleContest.findContest}
+   */
+  static async request(tokenDoc, changes, contest) {
+    const data = {
+      ...contest,
+      sceneId: tokenDoc.parent.id,
+      tokenId: tokenDoc.id,
+      origin: this.getPosition(tokenDoc),
+      changes,
+      result: null
+    };
+
+    await ChatMessage.create({
+      content: await this.renderCard(data),
+      speaker: ChatMessage.getSpeaker({ token: tokenDoc }),
+      flags: { [this.MODULE_ID]: { contest: data } }
+    });
+  }
+
+  /**
+   * Render the contest card, with the trait buttons or the result
+   *
+   * @static
+   * @async
+   * @param {Object} data - Contest data stored on the message
+   * @returns {Promise<string>} Card HTML
+   */
+  static async renderCard(data) {
+    const tokens = game.scenes.get(data.sceneId)?.tokens;
+    const names = {
+      mover: tokens?.get(data.tokenId)?.name ?? '?',
+      opponent: tokens?.get(data.opponentId)?.name ?? '?'
+    };
+    const trait = data.result?.trait;
+
+    return foundry.applications.handlebars.renderTemplate(this.TEMPLATE, {
+      message: game.i18n.format(`GURPS_GRAPPLE_PARTY.contest.${data.kind}`, names),
+      traits: Object.values(this.TRAITS).map(value => ({
+        value,
+        label: `GURPS_GRAPPLE_PARTY.contest.traits.${value}`,
+        preferred: value === (data.kind === this.KINDS.BREAK_FREE ? this.TRAITS.ST : this.TRAITS.GRAPPLING)
+      })),
+      result: data.result && {
+        trait: `GURPS_GRAPPLE_PARTY.contest.traits.${trait}`,
+        sides: ['mover', 'opponent'].map(side => ({
+          name: names[side],
+          ...data.result[side],
+          by: Math.abs(data.result[side].margin)
+        })),
+        outcome: game.i18n.format(
+          `GURPS_GRAPPLE_PARTY.contest.outcome.${data.kind}.${data.result.winner === 'mover' ? 'won' : 'lost'}`,
+          names
+        )
+      }
+    });
+  }
+
+  /**
+   * Wire the trait buttons of a contest card
+   * Only the card's author and GMs may roll it
+   *
+   * @static
+   * @param {ChatMessage} message - The rendered message
+   * @param {HTMLElement} html - The message element
+   * @listens Hooks#renderChatMessageHTML
+   */
+  static onRenderChatMessage(message, html) {
+    const data = message.getFlag(this.MODULE_ID, 'contest');
+    if (!data || data.result) return;
+
+    const buttons = [...html.querySelectorAll('[data-contest-trait]')];
+    for (const button of buttons) {
+      if (!message.isOwner) {
+        button.disabled = true;
+        continue;
+      }
+      button.addEventListener('click', async (event) => {
+        event.preventDefault();
+        buttons.forEach(other => { other.disabled = true; });
+        await this.roll(message, button.dataset.contestTrait);
+      });
+    }
+  }
+
+  /**
+   * Roll a contest card and carry out the move if the mover wins
+   * Clicks arriving while the card is being rolled are ignored
+   *
+   * @static
+   * @async
+   * @param {ChatMessage} message - The contest card
+   * @param {string} trait - One of {@link GrappleContest.TRAITS}
+   */
+  static async roll(message, trait) {
+    if (this.rolling.has(message.id)) return;
+    this.rolling.add(message.id);
+    try {
+      await this.rollContest(message, trait);
+    } finally {
+      this.rolling.delete(message.id);
+    }
+  }
+
+  /**
+   * Resolve a contest card once, see {@link GrappleContest.roll}
+   *
+   * @static
+   * @async
+   * @param {ChatMessage} message - The contest card
+   * @param {string} trait - One of {@link GrappleContest.TRAITS}
+   */
+  static async rollContest(message, trait) {
+    const data = message.getFlag(this.MODULE_ID, 'contest');
+    const scene = game.scenes.get(data?.sceneId);
+    const tokenDoc = scene?.tokens.get(data.tokenId);
+    const opponentDoc = scene?.tokens.get(data.opponentId);
+    if (!tokenDoc || !opponentDoc || data.result) return;
+
+    const rollFor = async (doc) => ({
+      level: this.getLevel(doc.actor, trait),
+      roll: (await new Roll('3d6').evaluate()).total
+    });
+    const result = { trait, ...this.resolve(await rollFor(tokenDoc), await rollFor(opponentDoc)) };
+    const resolved = { ...data, result };
+
+    await message.update({
+      content: await this.renderCard(resolved),
+      [`flags.${this.MODULE_ID}.contest.result`]: result
+    });
+
+    if (result.winner !== 'mover') return;
+
+    // A token moved since the card was posted would be sent back to a stale destination
+    const position = this.getPosition(tokenDoc);
+    if (data.origin && Object.keys(position).some(property => position[property] !== data.origin[property])) {
+      ui.notifications.warn(game.i18n.format('GURPS_GRAPPLE_PARTY.contest.moved', { mover: tokenDoc.name }));
+      return;
+    }
+    await tokenDoc.update(data.changes, { [this.MODULE_ID]: { contestWon: true } });
+  }
+
+  /**
+   * Get the position a contest move starts from
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The moving token
+   * @returns {{x: number, y: number, elevation: number}} Current position
+   */
+  static getPosition(tokenDoc) {
+    return { x: tokenDoc.x, y: tokenDoc.y, elevation: tokenDoc.elevation ?? 0 };
+  }
+}
@@ -0,0 +1,152 @@
+/**
+ * GURPS Grapple Party Drag
+ *
+ * Weight checks for dragging a grappled token along with its grappler. The grappler may
+ * drag its victims as long as their combined weight stays within a multiple of its
+ * Basic Lift; beyond that the move is blocked or the GM is asked to allow it.
+ *
+ * Actor data is read from the GURPS system (system.basiclift, system.attributes.ST and
+ * system.traits.weight). When any of it is missing the drag is allowed.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+/**
+ * Static helpers for dragging grappled tokens
+ *
+ * @class GrappleDrag
+ */
+export class GrappleDrag {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * What to do when the victims are too heavy (dragOverLimit setting)
+   * @static
+   * @constant {Object}
+   */
+  static OVER_LIMIT = {
+    BLOCK: 'block',
+    PROMPT: 'prompt'
+  };
+
+  /**
+   * Pounds per kilogram, for systems configured in metric
+   * @static
+   * @constant {number}
+   */
+  static LB_PER_KG = 2.2;
+
+  /**
+   * Check if drag mode is enabled in the module settings
+   *
+   * @static
+   * @returns {boolean} True if grapplers drag their victims along
+   */
+  static isEnabled() {
+    return game.settings.get(this.MODULE_ID, 'dragMode') ?? false;
+  }
+
+  /**
+   * Parse a weight value into pounds
+   * Accepts plain numbers and GURPS strings such as "150 lb" or "68 kg"
+   *
+   * @static
+   * @param {number|string} value - The weight value
+   * @returns {number|null} Weight in pounds, or null if it cannot be read
+   */
+  static parseWeight(value) {
+    if (typeof value === 'number') return isNaN(value) ? null : value;
+    if (typeof value !== 'string') return null;
+
+    const amount = parseFloat(value.replace(/,/g, ''));
+    if (isNaN(amount)) return null;
+    return /kg/i.test(value) ? amount * this.LB_PER_KG : amount;
+  }
+
+  /**
+   * Get an actor's Basic Lift in pounds
+   * Uses the value computed by the GURPS system, or ST²/5 if only ST is known
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {number|null} Basic Lift in pounds, or null if unknown
+   */
+  static getBasicLift(actor) {
+    const basicLift = this.parseWeight(actor?.system?.basiclift);
+    if (basicLift !== null) return basicLift;
+
+    const strength = Number(actor?.system?.attributes?.ST?.value);
+    return strength > 0 ? (strength * strength) / 5 : null;
+  }
+
+  /**
+   * Get an actor's body weight in pounds
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {number|null} Weight in pounds, or null if unknown
+   */
+  static getWeight(actor) {
+    return this.parseWeight(actor?.system?.traits?.weight);
+  }
+
+  /**
+   * Check whether a grappler can drag its victims
+   *
+   * @static
+   * @param {Actor} grapplerActor - The grappler's actor
+   * @param {Actor[]} victimActors - The actors being dragged
+   * @returns {{allowed: boolean, weight: number|null, limit: number|null}} Verdict with the numbers used
+   */
+  static checkWeight(grapplerActor, victimActors) {
+    const basicLift = this.getBasicLift(grapplerActor);
+    const weights = victimActors.map(actor => this.getWeight(actor));
+    if (basicLift === null || weights.some(weight => weight === null)) {
+      return { allowed: true, weight: null, limit: null };
+    }
+
+    const multiple = game.settings.get(this.MODULE_ID, 'dragLiftMultiple') ?? 10;
+    const limit = basicLift * multiple;
+    const weight = weights.reduce((sum, value) => sum + value, 0);
+    return { allowed: weight <= limit, weight, limit };
+  }
+
+  /**
+   * Get what to do when the victims are too heavy
+   *
+   * @static
+   * @returns {string} One of {@link GrappleDrag.OVER_LIMIT}
+   */
+  static getOverLimitMode() {
+    return game.settings.get(this.MODULE_ID, 'dragOverLimit') ?? this.OVER_LIMIT.PROMPT;
+  }
+
+  /**
+   * Ask the GM whether an over-limit drag may go ahead
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappler token document
+   * @param {number} weight - Combined weight of the victims in pounds
+   * @param {number} limit - Drag limit of the grappler in pounds
+   * @returns {Promise<boolean>} True if the GM allows the drag
+   */
+  static async confirmOverLimit(grapplerDoc, weight, limit) {
+    const result = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'GURPS_GRAPPLE_PARTY.dialog.dragOverLimit.title' },
+      content: `<p>${game.i18n.format('GURPS_GRAPPLE_PARTY.dialog.dragOverLimit.message', {
+        name: grapplerDoc.name,
+        weight: Math.round(weight),
+        limit: Math.round(limit)
+      })}</p>`,
+      rejectClose: false
+    });
+    return result === true;
+  }
+}
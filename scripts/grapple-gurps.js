@@ -0,0 +1,394 @@
+/**
+ * GURPS Grapple Party System Integration
+ *
+ * Keeps the rules state in step with the grapple links. With the gurpsConditions
+ * setting on (GURPS system only), a grappled token gets the system's Grappled status
+ * effect, or Pinned when it is held with a pin grip; the effect goes away as soon as
+ * no link holds it any more (the tokens separated, the link was removed or the
+ * grappler was deleted).
+ *
+ * When a held actor makes an attack or defense roll through a GURPS action, the
+ * grappling rules (B370) are applied just before the roll: a grappled token's -4 DX goes
+ * into the GURPS modifier bucket, and a pinned token, which can neither attack nor
+ * defend, does not roll. Holding a foe costs the grappler no DX. Entries still in a
+ * bucket are removed when a link goes away.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleLinks } from './grapple-links.js';
+
+/**
+ * Static helpers for GURPS conditions and modifiers
+ *
+ * @class GrappleGurps
+ */
+export class GrappleGurps {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Conditions the module manages
+   * @static
+   * @constant {Object}
+   */
+  static CONDITIONS = {
+    GRAPPLED: 'grappled',
+    PINNED: 'pinned'
+  };
+
+  /**
+   * Status effect IDs that may stand for each condition, in order of preference
+   * The first one present in CONFIG.statusEffects is used
+   * @static
+   * @constant {Object}
+   */
+  static STATUS_IDS = {
+    grappled: ['grapple', 'grappled'],
+    pinned: ['pinned', 'pin']
+  };
+
+  /**
+   * Modifiers added to the bucket by condition and action type (B370)
+   * Grappled is -4 DX: -4 to an attack with a DX-based skill, -2 to a Parry or Block
+   * worked out from one, nothing to Dodge, which is not based on DX
+   * @static
+   * @constant {Object}
+   */
+  static MODIFIERS = {
+    grappled: {
+      label: 'GURPS_GRAPPLE_PARTY.gurps.modifiers.grappled',
+      values: { attack: -4, 'weapon-parry': -2, 'weapon-block': -2 }
+    }
+  };
+
+  /**
+   * Conditions that leave a token unable to attack or defend (B370)
+   * @static
+   * @constant {string[]}
+   */
+  static HELPLESS = [this.CONDITIONS.PINNED];
+
+  /**
+   * GURPS action types that are attack or defense rolls
+   * @static
+   * @constant {string[]}
+   */
+  static ROLL_ACTIONS = ['attack', 'weapon-parry', 'weapon-block', 'dodge'];
+
+  /**
+   * Function the rolls are wrapped around, as a libWrapper target path
+   * @static
+   * @constant {string}
+   */
+  static ROLL_TARGET = 'GURPS.performAction';
+
+  /**
+   * How the rolls are wrapped right now: 'libWrapper', 'fallback' or null when they are not
+   * @static
+   * @type {string|null}
+   */
+  static wrapMode = null;
+
+  /**
+   * GURPS.performAction as found before the fallback wrapper was put around it
+   * @static
+   * @type {Function|null}
+   */
+  static originalPerformAction = null;
+
+  /**
+   * The fallback wrapper currently in use, or null
+   * @static
+   * @type {Function|null}
+   */
+  static wrapped = null;
+
+  /**
+   * Size Modifier steps for a tenfold change in length (B19)
+   * @static
+   * @constant {number}
+   */
+  static SM_STEPS_PER_TENFOLD = 6;
+
+  /**
+   * Check if condition syncing is on and the GURPS system is running
+   *
+   * @static
+   * @returns {boolean} True if the module manages GURPS conditions
+   */
+  static isEnabled() {
+    return game.system.id === 'gurps' && (game.settings.get(this.MODULE_ID, 'gurpsConditions') ?? false);
+  }
+
+  /**
+   * Get the status effect ID used for a condition
+   *
+   * @static
+   * @param {string} condition - One of {@link GrappleGurps.CONDITIONS}
+   * @returns {string|null} Status effect ID, or null if the system has none
+   */
+  static getStatusId(condition) {
+    const ids = this.STATUS_IDS[condition] ?? [];
+    return ids.find(id => CONFIG.statusEffects.some(effect => effect.id === id)) ?? null;
+  }
+
+  /**
+   * Work out which condition the links put on a token
+   * A pin grip from any grappler wins over a plain hold
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The token
+   * @returns {string|null} One of {@link GrappleGurps.CONDITIONS}, or null if nobody holds it
+   */
+  static getCondition(tokenDoc) {
+    const grips = GrappleLinks.getGrapplers(tokenDoc.id, tokenDoc.parent)
+      .map(grapplerDoc => GrappleLinks.getLinks(grapplerDoc)[tokenDoc.id]?.grip);
+    if (!grips.length) return null;
+    return grips.includes(GrappleLinks.GRIPS.PIN) ? this.CONDITIONS.PINNED : this.CONDITIONS.GRAPPLED;
+  }
+
+  /**
+   * Bring a token's status effects in line with its links
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The token held (or released) by a link
+   */
+  static async syncConditions(tokenDoc) {
+    if (!this.isEnabled() || !tokenDoc?.actor) return;
+
+    const wanted = this.getCondition(tokenDoc);
+    for (const condition of Object.values(this.CONDITIONS)) {
+      const statusId = this.getStatusId(condition);
+      if (!statusId) continue;
+
+      const active = condition === wanted;
+      if (tokenDoc.actor.statuses.has(statusId) !== active) {
+        await tokenDoc.actor.toggleStatusEffect(statusId, { active });
+      }
+    }
+  }
+
+  /**
+   * Remove the module's conditions from a token's actor (used when the token is deleted)
+   * Only linked actors outlive their token, so unlinked tokens are left alone
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The removed token
+   */
+  static async clearConditions(tokenDoc) {
+    if (!this.isEnabled() || !tokenDoc?.actorLink || !tokenDoc.actor) return;
+
+    for (const condition of Object.values(this.CONDITIONS)) {
+      const statusId = this.getStatusId(condition);
+      if (statusId && tokenDoc.actor.statuses.has(statusId)) {
+        await tokenDoc.actor.toggleStatusEffect(statusId, { active: false });
+      }
+    }
+  }
+
+  /**
+   * Get an actor's Size Modifier
+   * Read from system.traits.sizemod, which GURPS stores as a number or a string like "+2"
+   *
+   * @static
+   * @param {Actor} actor - The actor
+   * @returns {number|null} Size Modifier, or null if the actor has no SM data
+   */
+  static getSizeModifier(actor) {
+    const value = actor?.system?.traits?.sizemod;
+    if (value === undefined || value === null || value === '') return null;
+    const sizeModifier = Number(String(value).replace('+', ''));
+    return isNaN(sizeModifier) ? null : sizeModifier;
+  }
+
+  /**
+   * Relative size of a creature compared to a reference Size Modifier
+   * Each SM step is a factor of 10^(1/6) (about 1.5) in length
+   *
+   * @static
+   * @param {number} sizeModifier - The creature's SM
+   * @param {number} referenceSizeModifier - SM it is compared to
+   * @returns {number} Length ratio (1 when both are the same size)
+   */
+  static sizeFactor(sizeModifier, referenceSizeModifier) {
+    return 10 ** ((sizeModifier - referenceSizeModifier) / this.SM_STEPS_PER_TENFOLD);
+  }
+
+  /**
+   * Get the grappling modifiers of a token for one kind of roll
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The rolling token
+   * @param {string} actionType - One of {@link GrappleGurps.ROLL_ACTIONS}
+   * @returns {{value: number, label: string}[]} Modifiers to add to the bucket
+   */
+  static getModifiers(tokenDoc, actionType) {
+    const modifier = this.MODIFIERS[this.getCondition(tokenDoc)];
+    const value = modifier?.values[actionType];
+    return value ? [{ value, label: modifier.label }] : [];
+  }
+
+  /**
+   * Find the token of a rolling actor on the viewed scene
+   *
+   * @static
+   * @param {Actor} actor - The rolling actor
+   * @returns {TokenDocument|undefined} The actor's token, if it has one there
+   */
+  static getRollingToken(actor) {
+    return actor?.getActiveTokens?.(false, true).find(doc => doc.parent === canvas.scene);
+  }
+
+  /**
+   * Wrap GURPS.performAction so attack and defense rolls follow the grappling rules
+   * Uses libWrapper when it is active, so other modules wrapping the same function
+   * keep working; otherwise the function is wrapped by hand. Called when the game is
+   * ready and whenever the module is enabled.
+   *
+   * @static
+   */
+  static wrapRolls() {
+    const gurps = globalThis.GURPS;
+    if (this.wrapMode || game.system.id !== 'gurps' || typeof gurps?.performAction !== 'function') return;
+
+    if (game.modules.get('lib-wrapper')?.active && globalThis.libWrapper) {
+      libWrapper.register(this.MODULE_ID, this.ROLL_TARGET, function (wrapped, action, actor, ...args) {
+        if (!GrappleGurps.canRoll(action, actor)) return false;
+        GrappleGurps.addRollModifiers(action, actor);
+        return wrapped(action, actor, ...args);
+      }, 'MIXED');
+      this.wrapMode = 'libWrapper';
+      return;
+    }
+
+    // Without libWrapper the wrapper only acts while it is the one in use, so it turns
+    // into a plain pass-through if another module wrapped it in turn before it was removed
+    const performAction = gurps.performAction;
+    const wrapper = async function (action, actor, ...args) {
+      if (GrappleGurps.wrapped === wrapper) {
+        if (!GrappleGurps.canRoll(action, actor)) return false;
+        GrappleGurps.addRollModifiers(action, actor);
+      }
+      return performAction.call(this, action, actor, ...args);
+    };
+    gurps.performAction = wrapper;
+    this.originalPerformAction = performAction;
+    this.wrapped = wrapper;
+    this.wrapMode = 'fallback';
+  }
+
+  /**
+   * Take the wrapper off GURPS.performAction again (used when the module is disabled)
+   *
+   * @static
+   */
+  static unwrapRolls() {
+    if (this.wrapMode === 'libWrapper') {
+      libWrapper.unregister(this.MODULE_ID, this.ROLL_TARGET, false);
+    } else if (this.wrapMode === 'fallback' && globalThis.GURPS?.performAction === this.wrapped) {
+      GURPS.performAction = this.originalPerformAction;
+    }
+    this.wrapMode = null;
+    this.wrapped = null;
+    this.originalPerformAction = null;
+  }
+
+  /**
+   * Check whether an actor may make an attack or defense roll at all
+   * A pinned token cannot; the user is told why nothing was rolled
+   *
+   * @static
+   * @param {Object} action - The GURPS action about to be rolled
+   * @param {Actor} actor - The rolling actor
+   * @returns {boolean} False if the roll must not happen
+   */
+  static canRoll(action, actor) {
+    if (!this.isEnabled() || !this.ROLL_ACTIONS.includes(action?.type)) return true;
+
+    const tokenDoc = this.getRollingToken(actor);
+    if (!tokenDoc || !this.HELPLESS.includes(this.getCondition(tokenDoc))) return true;
+
+    ui.notifications.warn(game.i18n.format('GURPS_GRAPPLE_PARTY.gurps.pinned', { name: tokenDoc.name }));
+    return false;
+  }
+
+  /**
+   * Add the grapple modifiers of an actor's token to the bucket before an attack or defense roll
+   *
+   * @static
+   * @param {Object} action - The GURPS action about to be rolled
+   * @param {Actor} actor - The rolling actor
+   */
+  static addRollModifiers(action, actor) {
+    const bucket = globalThis.GURPS?.ModifierBucket;
+    if (!bucket || !this.isEnabled() || !this.ROLL_ACTIONS.includes(action?.type)) return;
+
+    const tokenDoc = this.getRollingToken(actor);
+    if (!tokenDoc) return;
+
+    const current = bucket.modifierStack?.modifierList ?? [];
+    for (const { value, label } of this.getModifiers(tokenDoc, action.type)) {
+      const description = game.i18n.localize(label);
+      if (current.some(modifier => modifier.desc === description)) continue;
+      bucket.addModifier(value, description);
+    }
+  }
+
+  /**
+   * Take the grapple modifiers out of this client's bucket when a link changes
+   * A roll uses the entries up; this removes the ones left by a roll that never happened.
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The updated token
+   * @param {Object} changes - Changes applied to the token
+   * @listens Hooks#updateToken
+   */
+  static onUpdateToken(tokenDoc, changes) {
+    const flags = changes.flags?.[this.MODULE_ID];
+    if (!flags || !(GrappleLinks.FLAG in flags || `-=${GrappleLinks.FLAG}` in flags)) return;
+    this.clearModifiers();
+  }
+
+  /**
+   * Take the grapple modifiers out of this client's bucket when a grappler is deleted
+   * Links held on the deleted token are removed by an update of their grappler instead
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The deleted token
+   * @listens Hooks#deleteToken
+   */
+  static onDeleteToken(tokenDoc) {
+    if (GrappleLinks.getTargets(tokenDoc).length) this.clearModifiers();
+  }
+
+  /**
+   * Remove every grapple modifier from this client's bucket
+   *
+   * @static
+   */
+  static clearModifiers() {
+    const bucket = globalThis.GURPS?.ModifierBucket;
+    const stack = bucket?.modifierStack;
+    const list = stack?.modifierList;
+    if (!list?.length) return;
+
+    const descriptions = Object.values(this.MODIFIERS).map(({ label }) => game.i18n.localize(label));
+    for (let index = list.length - 1; index >= 0; index--) {
+      if (!descriptions.includes(list[index].desc)) continue;
+      if (typeof stack.removeIndex === 'function') {
+        stack.removeIndex(index);
+      } else {
+        list.splice(index, 1);
+      }
+    }
+    bucket.refresh?.();
+  }
+}
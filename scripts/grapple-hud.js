@@ -0,0 +1,160 @@
+/**
+ * GURPS Grapple Party Token HUD
+ *
+ * Manual controls on the Token HUD (GM only):
+ * - Grapple: pick a token in the same or a neighbouring hex and pair with it, or
+ *   release the current target
+ * - Separate: step out into a free neighbouring hex at full size
+ * - Make Anchor: hold the hex center and put the others on the offset positions
+ *
+ * The buttons go through the same positioning code as tokens moved by hand, so manual
+ * and automatic pairing look the same.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+import { GrappleLinks } from './grapple-links.js';
+
+/**
+ * Static helpers for the Token HUD controls
+ *
+ * @class GrappleHud
+ */
+export class GrappleHud {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * HUD buttons, in display order
+   * Each entry names its handler and its Font Awesome icon
+   * @static
+   * @constant {Object}
+   */
+  static BUTTONS = {
+    grapple: { handler: 'grapple', icon: 'fas fa-handshake-angle' },
+    separate: { handler: 'separate', icon: 'fas fa-people-arrows' },
+    makeAnchor: { handler: 'makeAnchor', icon: 'fas fa-anchor' }
+  };
+
+  /**
+   * Add the manual control buttons to the Token HUD (GM only)
+   *
+   * @static
+   * @param {TokenHUD} hud - The Token HUD application
+   * @param {HTMLElement} html - The rendered HUD element
+   * @listens Hooks#renderTokenHUD
+   */
+  static onRenderTokenHUD(hud, html) {
+    if (!game.user.isGM) return;
+
+    const column = html.querySelector('.col.right');
+    if (!column) return;
+
+    for (const [name, { handler, icon }] of Object.entries(this.BUTTONS)) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.classList.add('control-icon');
+      button.dataset.tooltip = game.i18n.localize(`GURPS_GRAPPLE_PARTY.hud.${name}`);
+      button.innerHTML = `<i class="${icon}"></i>`;
+      button.addEventListener('click', async (event) => {
+        event.preventDefault();
+        if (!this.canUse()) return;
+        await this[handler](hud.document);
+      });
+      column.append(button);
+    }
+  }
+
+  /**
+   * Check whether this client may move tokens, and say why not otherwise
+   *
+   * @static
+   * @returns {boolean} True if this client is the executor on a running scene
+   */
+  static canUse() {
+    let reason = null;
+    if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) reason = 'notifications.moduleOff';
+    else if (!GrappleUtils.isSceneEnabled()) reason = 'notifications.sceneOff';
+    else if (!GrappleUtils.isExecutor()) reason = 'commands.notExecutor';
+    if (!reason) return true;
+
+    ui.notifications.warn(game.i18n.localize(`GURPS_GRAPPLE_PARTY.${reason}`));
+    return false;
+  }
+
+  /**
+   * Grapple: pick a nearby target and a grip, then pair the two tokens
+   * A token that already holds a target can change the grip or release it
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The grappling token
+   */
+  static async grapple(tokenDoc) {
+    const targetIds = GrappleLinks.getTargets(tokenDoc);
+    const candidates = [...new Set([...targetIds, ...GrappleUtils.getNearbyOccupants(tokenDoc.id)])]
+      .map(id => tokenDoc.parent.tokens.get(id))
+      .filter(Boolean);
+    if (!candidates.length) {
+      ui.notifications.info(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.noNearbyTokens'));
+      return;
+    }
+
+    const [currentTarget] = targetIds;
+    const choice = await GrappleLinks.promptLink(tokenDoc, candidates, {
+      target: currentTarget ?? candidates[0].id,
+      grip: currentTarget ? GrappleLinks.getLinks(tokenDoc)[currentTarget].grip : undefined
+    }, !!currentTarget);
+    if (!choice) return;
+
+    if (choice.action === 'unlink') {
+      const [key] = GrappleUtils.getTokenKeys(tokenDoc.id);
+      await GrappleUtils.batchUpdates(async () => {
+        await GrappleLinks.unlink(tokenDoc, choice.target);
+        if (key) await GrappleUtils.arrangeCell(key);
+      });
+      return;
+    }
+
+    const target = tokenDoc.parent.tokens.get(choice.target);
+    if (!await GrappleUtils.pairTokens(tokenDoc, choice.target, choice.grip)) {
+      ui.notifications.warn(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.pairBlocked', {
+        name: tokenDoc.name,
+        target: target?.name ?? choice.target
+      }));
+    }
+  }
+
+  /**
+   * Separate: move the token out of its shared hex
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The token to move out
+   */
+  static async separate(tokenDoc) {
+    const moved = await GrappleUtils.separateTokens([tokenDoc.id]);
+    if (!moved.length) {
+      ui.notifications.info(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.cannotSeparate', { name: tokenDoc.name }));
+    }
+  }
+
+  /**
+   * Make Anchor: the token holds the hex center and the others take the offset positions
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The new anchor of its hex
+   */
+  static async makeAnchor(tokenDoc) {
+    if (!await GrappleUtils.makeAnchor(tokenDoc)) {
+      ui.notifications.info(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.notSharing', { name: tokenDoc.name }));
+    }
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * GURPS Grapple Party Layout Engine
+ *
+ * Computes where each occupant of a crowded hex should stand. The engine is pure math:
+ * it receives the hex center, the occupants and their entry directions, and returns
+ * target centers in pixels. It never touches Foundry documents, so it can be reused
+ * by any caller (hook handlers, macros, API) and reasoned about in isolation.
+ *
+ * Supported styles:
+ * - ring: occupants evenly spaced on a circle, rotated toward where they came from
+ * - arc: occupants spread along an arc centered on the average entry direction
+ * - grid: occupants packed in a compact grid around the hex center
+ * - sides: each team clusters on its own side of the hex, facing the other teams
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+/**
+ * Static layout helpers for multi-occupant hexes
+ *
+ * @class GrappleLayout
+ */
+export class GrappleLayout {
+  /**
+   * Available layout styles
+   * 'classic' keeps the original midpoint placement for pairs and uses the arc for 3+
+   * @static
+   * @constant {Object}
+   */
+  static STYLES = {
+    CLASSIC: 'classic',
+    RING: 'ring',
+    ARC: 'arc',
+    GRID: 'grid',
+    SIDES: 'sides'
+  };
+
+  /**
+   * Smallest scale the engine will shrink a token to, no matter how crowded the hex is
+   * @static
+   * @constant {number}
+   */
+  static MIN_SCALE = 0.1;
+
+  /**
+   * Angle between two neighbours on an arc (radians)
+   * @static
+   * @constant {number}
+   */
+  static ARC_STEP = Math.PI / 4;
+
+  /**
+   * Widest arc the engine will use (radians)
+   * @static
+   * @constant {number}
+   */
+  static ARC_MAX_SPREAD = Math.PI;
+
+  /**
+   * Default direction for occupants with no known entry side (pointing up)
+   * @static
+   * @constant {number}
+   */
+  static DEFAULT_ANGLE = -Math.PI / 2;
+
+  /**
+   * Scale to apply to every occupant of a hex with the given number of tokens
+   * Pairs use the configured pair scale; larger groups shrink so the total area stays similar
+   *
+   * @static
+   * @param {number} pairScale - Configured scale for two tokens in one hex
+   * @param {number} count - Number of occupants in the hex
+   * @returns {number} Scale for each occupant
+   */
+  static scaleForCount(pairScale, count) {
+    if (count <= 2) return pairScale;
+    return Math.max(this.MIN_SCALE, pairScale * Math.sqrt(2 / count));
+  }
+
+  /**
+   * Normalize an angle to the range [-PI, PI]
+   *
+   * @static
+   * @param {number} angle - Angle in radians
+   * @returns {number} Normalized angle
+   */
+  static normalizeAngle(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+  }
+
+  /**
+   * Circular mean of a list of angles
+   *
+   * @static
+   * @param {number[]} angles - Angles in radians
+   * @returns {number|null} Mean angle, or null if the list is empty or the angles cancel out
+   */
+  static meanAngle(angles) {
+    if (!angles.length) return null;
+    const sumX = angles.reduce((sum, angle) => sum + Math.cos(angle), 0);
+    const sumY = angles.reduce((sum, angle) => sum + Math.sin(angle), 0);
+    if (Math.hypot(sumX, sumY) < 1e-6) return null;
+    return Math.atan2(sumY, sumX);
+  }
+
+  /**
+   * Compute target centers for every occupant of a hex
+   *
+   * @static
+   * @param {string} style - One of {@link GrappleLayout.STYLES}
+   * @param {Object[]} occupants - Occupants in arrival order
+   * @param {string} occupants[].id - Token ID
+   * @param {number} [occupants[].angle] - Direction (radians) from hex center toward the side the token came from
+   * @param {string} [occupants[].team] - Team the token fights for (sides layout only)
+   * @param {Object} center - Hex center in pixels
+   * @param {number} center.x - X coordinate
+   * @param {number} center.y - Y coordinate
+   * @param {Object} options - Layout dimensions
+   * @param {number} options.radius - Distance from hex center for ring and arc layouts (pixels)
+   * @param {number} options.spacing - Distance between neighbours for the grid layout (pixels)
+   * @returns {Map<string, {x: number, y: number}>} Target center per token ID
+   */
+  static computeSlots(style, occupants, center, { radius, spacing }) {
+    if (style === this.STYLES.GRID) return this.gridSlots(occupants, center, spacing);
+    if (style === this.STYLES.RING) return this.ringSlots(occupants, center, radius);
+    if (style === this.STYLES.SIDES) return this.sideSlots(occupants, center, radius);
+    return this.arcSlots(occupants, center, radius);
+  }
+
+  /**
+   * Ring layout: evenly spaced slots, rotated so the first occupant with a known
+   * entry side lands on that side; the others take the free slot closest to theirs
+   *
+   * @static
+   * @param {Object[]} occupants - Occupants in arrival order
+   * @param {Object} center - Hex center in pixels
+   * @param {number} radius - Ring radius in pixels
+   * @returns {Map<string, {x: number, y: number}>} Target center per token ID
+   */
+  static ringSlots(occupants, center, radius) {
+    const count = occupants.length;
+    const step = (2 * Math.PI) / count;
+    const reference = occupants.find(occupant => typeof occupant.angle === 'number');
+    const rotation = reference ? reference.angle : this.DEFAULT_ANGLE;
+
+    const freeAngles = Array.from({ length: count }, (_, i) => rotation + i * step);
+    const assigned = new Map();
+
+    // Occupants with a known entry side pick first, in arrival order
+    const ordered = [
+      ...occupants.filter(occupant => typeof occupant.angle === 'number'),
+      ...occupants.filter(occupant => typeof occupant.angle !== 'number')
+    ];
+
+    for (const occupant of ordered) {
+      let bestIndex = 0;
+      if (typeof occupant.angle === 'number') {
+        let bestDistance = Infinity;
+        freeAngles.forEach((angle, index) => {
+          const distance = Math.abs(this.normalizeAngle(angle - occupant.angle));
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            bestIndex = index;
+          }
+        });
+      }
+      const [angle] = freeAngles.splice(bestIndex, 1);
+      assigned.set(occupant.id, this.pointAt(center, angle, radius));
+    }
+
+    return assigned;
+  }
+
+  /**
+   * Arc layout: occupants spread along an arc centered on the average entry side,
+   * ordered around the arc by their own entry side
+   *
+   * @static
+   * @param {Object[]} occupants - Occupants in arrival order
+   * @param {Object} center - Hex center in pixels
+   * @param {number} radius - Arc radius in pixels
+   * @returns {Map<string, {x: number, y: number}>} Target center per token ID
+   */
+  static arcSlots(occupants, center, radius) {
+    const count = occupants.length;
+    const knownAngles = occupants
+      .map(occupant => occupant.angle)
+      .filter(angle => typeof angle === 'number');
+    const mean = this.meanAngle(knownAngles) ?? this.DEFAULT_ANGLE;
+    const spread = Math.min(this.ARC_MAX_SPREAD, (count - 1) * this.ARC_STEP);
+
+    // Order along the arc by entry side relative to the mean; unknown sides sit in the middle
+    const ordered = [...occupants].sort((a, b) => {
+      const relA = typeof a.angle === 'number' ? this.normalizeAngle(a.angle - mean) : 0;
+      const relB = typeof b.angle === 'number' ? this.normalizeAngle(b.angle - mean) : 0;
+      return relA - relB;
+    });
+
+    const assigned = new Map();
+    ordered.forEach((occupant, index) => {
+      const angle = count > 1
+        ? mean - spread / 2 + (index * spread) / (count - 1)
+        : mean;
+      assigned.set(occupant.id, this.pointAt(center, angle, radius));
+    });
+
+    return assigned;
+  }
+
+  /**
+   * Sides layout: every team gets its own side of the hex, evenly spaced around the center,
+   * and its members spread along a short arc on that side. The first team to arrive keeps
+   * the side it came from; with two teams the other one lines up opposite it.
+   *
+   * @static
+   * @param {Object[]} occupants - Occupants in arrival order
+   * @param {Object} center - Hex center in pixels
+   * @param {number} radius - Distance of each side from the hex center in pixels
+   * @returns {Map<string, {x: number, y: number}>} Target center per token ID
+   */
+  static sideSlots(occupants, center, radius) {
+    // Teams in order of their first arrival
+    const teams = new Map();
+    for (const occupant of occupants) {
+      if (!teams.has(occupant.team)) teams.set(occupant.team, []);
+      teams.get(occupant.team).push(occupant);
+    }
+    if (teams.size < 2) return this.arcSlots(occupants, center, radius);
+
+    const sideStep = (2 * Math.PI) / teams.size;
+    const knownAngles = (members) => members
+      .map(member => member.angle)
+      .filter(angle => typeof angle === 'number');
+    const [leadIndex, leadAngle] = [...teams.values()]
+      .map((members, index) => [index, this.meanAngle(knownAngles(members))])
+      .find(([, angle]) => angle !== null) ?? [0, this.DEFAULT_ANGLE];
+    const rotation = leadAngle - leadIndex * sideStep;
+
+    const assigned = new Map();
+    [...teams.values()].forEach((members, index) => {
+      const side = rotation + index * sideStep;
+      // Leave a gap between neighbouring teams so they stay apart
+      const spread = Math.max(0, Math.min((members.length - 1) * this.ARC_STEP, sideStep - this.ARC_STEP));
+
+      // Order along the side by entry direction, as on an arc
+      const ordered = [...members].sort((a, b) => {
+        const relA = typeof a.angle === 'number' ? this.normalizeAngle(a.angle - side) : 0;
+        const relB = typeof b.angle === 'number' ? this.normalizeAngle(b.angle - side) : 0;
+        return relA - relB;
+      });
+      ordered.forEach((member, memberIndex) => {
+        const angle = members.length > 1
+          ? side - spread / 2 + (memberIndex * spread) / (members.length - 1)
+          : side;
+        assigned.set(member.id, this.pointAt(center, angle, radius));
+      });
+    });
+
+    return assigned;
+  }
+
+  /**
+   * Grid-pack layout: occupants in arrival order, row by row, centered on the hex
+   *
+   * @static
+   * @param {Object[]} occupants - Occupants in arrival order
+   * @param {Object} center - Hex center in pixels
+   * @param {number} spacing - Distance between neighbours in pixels
+   * @returns {Map<string, {x: number, y: number}>} Target center per token ID
+   */
+  static gridSlots(occupants, center, spacing) {
+    const count = occupants.length;
+    const cols = Math.ceil(Math.sqrt(count));
+    const rows = Math.ceil(count / cols);
+    const assigned = new Map();
+
+    occupants.forEach((occupant, index) => {
+      const col = index % cols;
+      const row = Math.floor(index / cols);
+      // Center a partially filled last row
+      const rowCount = row === rows - 1 ? count - row * cols : cols;
+      assigned.set(occupant.id, {
+        x: center.x + (col - (rowCount - 1) / 2) * spacing,
+        y: center.y + (row - (rows - 1) / 2) * spacing
+      });
+    });
+
+    return assigned;
+  }
+
+  /**
+   * Point at a given angle and distance from a center
+   *
+   * @static
+   * @param {Object} center - Origin point
+   * @param {number} angle - Direction in radians
+   * @param {number} distance - Distance in pixels
+   * @returns {{x: number, y: number}} Resulting point
+   */
+  static pointAt(center, angle, distance) {
+    return {
+      x: center.x + Math.cos(angle) * distance,
+      y: center.y + Math.sin(angle) * distance
+    };
+  }
+
+  /**
+   * Token rotation that faces from one point toward another
+   * Foundry rotations are degrees clockwise, with 0 facing down the screen
+   *
+   * @static
+   * @param {Object} from - Center of the turning token
+   * @param {Object} to - Point to face
+   * @param {number} [step=0] - Snap to multiples of this many degrees (0 for no snapping)
+   * @param {number} [offset=0] - Direction in degrees of the first facing when snapping
+   * @returns {number} Rotation in degrees, in [0, 360)
+   */
+  static facingRotation(from, to, step = 0, offset = 0) {
+    let angle = (Math.atan2(to.y - from.y, to.x - from.x) * 180) / Math.PI;
+    if (step) angle = Math.round((angle - offset) / step) * step + offset;
+    return (((angle - 90) % 360) + 360) % 360;
+  }
+}
@@ -0,0 +1,388 @@
+/**
+ * GURPS Grapple Party Links
+ *
+ * Explicit grapple relationships between tokens: who is grappling whom, with which grip,
+ * and since when. Links live on the grappler's token document, under
+ * flags['gurps-grapple-party'].grapples, keyed by the target token ID:
+ *
+ *   { [targetId]: { grip: 'twoHands', round: 3, turn: 1 } }
+ *
+ * Links are offered to the GM when a token enters an occupied hex, can be edited from the
+ * Grapple button of the Token HUD, and are removed automatically when the two tokens no
+ * longer share a hex.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+import { GrappleGurps } from './grapple-gurps.js';
+
+/**
+ * Static helpers for grapple links
+ *
+ * @class GrappleLinks
+ */
+export class GrappleLinks {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Token flag holding the links of a grappler
+   * @static
+   * @constant {string}
+   */
+  static FLAG = 'grapples';
+
+  /**
+   * Supported grip types
+   * @static
+   * @constant {Object}
+   */
+  static GRIPS = {
+    ONE_HAND: 'oneHand',
+    TWO_HANDS: 'twoHands',
+    PIN: 'pin',
+    CHOKE: 'choke'
+  };
+
+  /**
+   * Grip used when links are created without asking
+   * @static
+   * @constant {string}
+   */
+  static DEFAULT_GRIP = 'twoHands';
+
+  /**
+   * Link creation modes for the grappleLinkMode setting
+   * @static
+   * @constant {Object}
+   */
+  static MODES = {
+    OFF: 'off',
+    PROMPT: 'prompt',
+    AUTO: 'auto'
+  };
+
+  /**
+   * Template used by the link prompt and the HUD editor
+   * @static
+   * @constant {string}
+   */
+  static TEMPLATE = 'modules/gurps-grapple-party/templates/grapple-link.html';
+
+  // ========== Link Queries ==========
+
+  /**
+   * Get every link held by a grappler
+   * Link changes queued in the running batch count already, so an arrangement in the
+   * same batch sees them
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The grappler token document
+   * @returns {Object<string, {grip: string, round: number|null, turn: number|null}>} Links keyed by target ID
+   */
+  static getLinks(tokenDoc) {
+    const links = { ...(tokenDoc?.getFlag(this.MODULE_ID, this.FLAG) ?? {}) };
+    const queued = GrappleUtils.state.batch?.updates.get(tokenDoc?.id)?.data ?? {};
+    const prefix = `flags.${this.MODULE_ID}.${this.FLAG}.`;
+    for (const [path, value] of Object.entries(queued)) {
+      if (!path.startsWith(prefix)) continue;
+      const targetId = path.slice(prefix.length);
+      if (targetId.startsWith('-=')) {
+        delete links[targetId.slice(2)];
+      } else {
+        links[targetId] = value;
+      }
+    }
+    return links;
+  }
+
+  /**
+   * Get the IDs of every token a grappler holds
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The grappler token document
+   * @returns {string[]} Target token IDs
+   */
+  static getTargets(tokenDoc) {
+    return Object.keys(this.getLinks(tokenDoc));
+  }
+
+  /**
+   * Get every token in the scene that holds the given target
+   *
+   * @static
+   * @param {string} targetId - The target token ID
+   * @param {Scene} [scene=canvas.scene] - Scene to search
+   * @returns {TokenDocument[]} Grappler token documents
+   */
+  static getGrapplers(targetId, scene = canvas.scene) {
+    if (!scene) return [];
+    return scene.tokens.contents.filter(tokenDoc => targetId in this.getLinks(tokenDoc));
+  }
+
+  /**
+   * Find the link between two tokens, in either direction
+   *
+   * @static
+   * @param {string} tokenIdA - First token ID
+   * @param {string} tokenIdB - Second token ID
+   * @returns {{grapplerId: string, targetId: string, grip: string, round: number|null, turn: number|null}|null}
+   *   The link, or null if neither token holds the other
+   */
+  static findLink(tokenIdA, tokenIdB) {
+    for (const [grapplerId, targetId] of [[tokenIdA, tokenIdB], [tokenIdB, tokenIdA]]) {
+      const link = this.getLinks(canvas.scene?.tokens.get(grapplerId))[targetId];
+      if (link) return { grapplerId, targetId, ...link };
+    }
+    return null;
+  }
+
+  /**
+   * Find the target a token holds among a list of occupants
+   *
+   * @static
+   * @param {string} grapplerId - The grappler token ID
+   * @param {string[]} occupantIds - Token IDs to look in
+   * @returns {string|null} The first held target, or null if none
+   */
+  static getTargetAmong(grapplerId, occupantIds) {
+    const targets = this.getTargets(canvas.scene?.tokens.get(grapplerId));
+    return targets.find(targetId => occupantIds.includes(targetId)) ?? null;
+  }
+
+  /**
+   * Check whether this client is the one that writes links
+   * Links are written by the module's executor GM, so they are written once
+   *
+   * @static
+   * @returns {boolean} True if this client manages links
+   */
+  static isLinkManager() {
+    return GrappleUtils.isExecutor();
+  }
+
+  /**
+   * Get current link creation mode from game settings
+   *
+   * @static
+   * @returns {string} One of {@link GrappleLinks.MODES}
+   */
+  static getMode() {
+    return game.settings.get(this.MODULE_ID, 'grappleLinkMode') ?? this.MODES.PROMPT;
+  }
+
+  // ========== Link Changes ==========
+
+  /**
+   * Create or replace a link from a grappler to a target
+   * The combat round and turn are recorded when a combat is running. Inside a batch
+   * the link is written with the batch, and the target's condition follows after.
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappler token document
+   * @param {string} targetId - The target token ID
+   * @param {string} [grip=GrappleLinks.DEFAULT_GRIP] - One of {@link GrappleLinks.GRIPS}
+   */
+  static async link(grapplerDoc, targetId, grip = this.DEFAULT_GRIP) {
+    if (!grapplerDoc || !targetId || grapplerDoc.id === targetId) return;
+
+    const scene = grapplerDoc.parent;
+    await GrappleUtils.updateTokenSafe(grapplerDoc, {
+      [`flags.${this.MODULE_ID}.${this.FLAG}.${targetId}`]: {
+        grip,
+        round: game.combat?.started ? game.combat.round : null,
+        turn: game.combat?.started ? game.combat.turn : null
+      }
+    }, null);
+    await GrappleUtils.afterBatch(() => GrappleGurps.syncConditions(scene.tokens.get(targetId)));
+  }
+
+  /**
+   * Remove the link from a grappler to a target
+   * Inside a batch the change is written with the batch
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappler token document
+   * @param {string} targetId - The target token ID
+   */
+  static async unlink(grapplerDoc, targetId) {
+    if (!(targetId in this.getLinks(grapplerDoc))) return;
+    const scene = grapplerDoc.parent;
+    await GrappleUtils.updateTokenSafe(grapplerDoc, { [`flags.${this.MODULE_ID}.${this.FLAG}.-=${targetId}`]: null }, null);
+    await GrappleUtils.afterBatch(() => GrappleGurps.syncConditions(scene.tokens.get(targetId)));
+  }
+
+  /**
+   * Remove every link between a token and tokens it no longer shares a cell with
+   * Covers links the token holds and links held on it
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The token that moved
+   */
+  static async pruneLinks(tokenDoc) {
+    if (!tokenDoc || !this.isLinkManager()) return;
+
+    const sharing = new Set();
+    for (const key of GrappleUtils.getTokenKeys(tokenDoc.id)) {
+      for (const id of GrappleUtils.sceneState.cells.get(key) ?? []) sharing.add(id);
+    }
+
+    for (const targetId of this.getTargets(tokenDoc)) {
+      if (!sharing.has(targetId)) await this.unlink(tokenDoc, targetId);
+    }
+    for (const grapplerDoc of this.getGrapplers(tokenDoc.id, tokenDoc.parent)) {
+      if (!sharing.has(grapplerDoc.id)) await this.unlink(grapplerDoc, tokenDoc.id);
+    }
+  }
+
+  /**
+   * Remove every link pointing at a token (used when it is deleted)
+   *
+   * @static
+   * @async
+   * @param {string} tokenId - The removed token ID
+   * @param {Scene} [scene=canvas.scene] - Scene the token belonged to
+   */
+  static async removeLinksTo(tokenId, scene = canvas.scene) {
+    if (!this.isLinkManager()) return;
+
+    for (const grapplerDoc of this.getGrapplers(tokenId, scene)) {
+      await this.unlink(grapplerDoc, tokenId);
+    }
+  }
+
+  // ========== Automatic Linking ==========
+
+  /**
+   * Offer a link after a token entered an occupied cell
+   * Depending on the grappleLinkMode setting the GM is asked to confirm and pick the
+   * target, or the newcomer is linked to the cell's first occupant directly. The
+   * prompt is not waited for, so the moves that follow are arranged meanwhile.
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} newcomerDoc - The token that entered the cell
+   * @param {string} key - Grid cell key
+   */
+  static async onEnterOccupiedCell(newcomerDoc, key) {
+    const mode = this.getMode();
+    if (mode === this.MODES.OFF || !this.isLinkManager()) return;
+
+    const occupantIds = GrappleUtils.getVisibleOccupants(key);
+    const candidateIds = occupantIds.filter(id => id !== newcomerDoc.id);
+    if (!candidateIds.length) return;
+
+    // Already holding someone here: nothing to ask
+    if (this.getTargetAmong(newcomerDoc.id, candidateIds)) return;
+
+    const firstId = GrappleUtils.sceneState.firstInCell.get(key);
+    const defaultTargetId = candidateIds.includes(firstId) ? firstId : candidateIds[0];
+
+    if (mode !== this.MODES.PROMPT) {
+      await this.linkInCell(newcomerDoc, key, { target: defaultTargetId, grip: this.DEFAULT_GRIP });
+      return;
+    }
+
+    const candidates = candidateIds.map(id => newcomerDoc.parent.tokens.get(id)).filter(Boolean);
+    this.promptLink(newcomerDoc, candidates, { target: defaultTargetId })
+      .then(choice => choice && this.linkInCell(newcomerDoc, key, choice))
+      .catch(error => console.error(`${this.MODULE_ID} | Failed to link ${newcomerDoc.name}:`, error));
+  }
+
+  /**
+   * Link a newcomer to a target in its cell and arrange the cell, in one batch
+   * Skipped if either token left the cell while the GM was choosing
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} newcomerDoc - The token that entered the cell
+   * @param {string} key - Grid cell key
+   * @param {{target: string, grip: string}} choice - Target and grip to link with
+   */
+  static async linkInCell(newcomerDoc, key, choice) {
+    const occupantIds = GrappleUtils.getVisibleOccupants(key);
+    if (!occupantIds.includes(newcomerDoc.id) || !occupantIds.includes(choice.target)) return;
+
+    await GrappleUtils.batchUpdates(async () => {
+      await this.link(newcomerDoc, choice.target, choice.grip);
+      await GrappleUtils.arrangeCell(key);
+    });
+  }
+
+  // ========== Dialogs ==========
+
+  /**
+   * Ask the GM which target a grappler holds and with which grip
+   *
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappler token document
+   * @param {TokenDocument[]} candidates - Tokens that can be targeted
+   * @param {Object} [current] - Preselected values
+   * @param {string} [current.target] - Preselected target ID
+   * @param {string} [current.grip] - Preselected grip
+   * @param {boolean} [allowUnlink=false] - Offer a button that removes the current link
+   * @returns {Promise<{action: string, target: string, grip: string}|null>} The choice, or null if dismissed
+   */
+  static async promptLink(grapplerDoc, candidates, current = {}, allowUnlink = false) {
+    const content = await foundry.applications.handlebars.renderTemplate(this.TEMPLATE, {
+      message: game.i18n.format('GURPS_GRAPPLE_PARTY.dialog.grappleLink.message', { name: grapplerDoc.name }),
+      candidates: candidates.map(candidateDoc => ({
+        id: candidateDoc.id,
+        name: candidateDoc.name,
+        selected: candidateDoc.id === current.target
+      })),
+      grips: Object.fromEntries(Object.values(this.GRIPS).map(grip => [
+        grip,
+        `GURPS_GRAPPLE_PARTY.grips.${grip}`
+      ])),
+      grip: current.grip ?? this.DEFAULT_GRIP
+    });
+
+    const readForm = (action) => (event, button) => ({
+      action,
+      target: button.form.elements.target.value,
+      grip: button.form.elements.grip.value
+    });
+
+    const buttons = [{
+      action: 'link',
+      label: 'GURPS_GRAPPLE_PARTY.dialog.grappleLink.link',
+      icon: 'fas fa-link',
+      default: true,
+      callback: readForm('link')
+    }];
+    if (allowUnlink) {
+      buttons.push({
+        action: 'unlink',
+        label: 'GURPS_GRAPPLE_PARTY.dialog.grappleLink.unlink',
+        icon: 'fas fa-unlink',
+        callback: readForm('unlink')
+      });
+    }
+    buttons.push({
+      action: 'skip',
+      label: 'GURPS_GRAPPLE_PARTY.dialog.grappleLink.skip',
+      icon: 'fas fa-times'
+    });
+
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'GURPS_GRAPPLE_PARTY.dialog.grappleLink.title' },
+      classes: ['gurps-grapple-party-link'],
+      content,
+      buttons,
+      rejectClose: false
+    });
+
+    return result && typeof result === 'object' ? result : null;
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * GURPS Grapple Party Overlay
+ *
+ * Canvas layer that shows where the grapples are. Shrunken tokens are easy to miss,
+ * so every shared hex is highlighted with an occupant-count badge, and a line joins
+ * each grappler to its target.
+ *
+ * The overlay only reads GrappleUtils state and token flags; it never changes documents.
+ * It is toggled per user with a scene-control button (showOverlay client setting).
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+import { GrappleLinks } from './grapple-links.js';
+
+/**
+ * Static helpers for the grapple overlay
+ *
+ * @class GrappleOverlay
+ */
+export class GrappleOverlay {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Name of the layer on the canvas (canvas.grappleParty)
+   * @static
+   * @constant {string}
+   */
+  static LAYER = 'grappleParty';
+
+  /**
+   * Overlay colors
+   * @static
+   * @constant {Object}
+   */
+  static COLORS = {
+    CELL: 0xff8c00,
+    LINK: 0xd7263d,
+    BADGE: 0x1b1b1b,
+    BADGE_TEXT: 0xffffff
+  };
+
+  /**
+   * Redraw the overlay once a burst of token changes is over
+   * @static
+   * @type {Function}
+   */
+  static scheduleRefresh = foundry.utils.debounce(() => canvas[GrappleOverlay.LAYER]?.refresh(), 50);
+
+  /**
+   * Register the canvas layer and the hooks that redraw it
+   * Called once during init
+   *
+   * @static
+   */
+  static register() {
+    CONFIG.Canvas.layers[this.LAYER] = { layerClass: GrappleOverlayLayer, group: 'interface' };
+
+    for (const hook of ['createToken', 'updateToken', 'deleteToken', 'updateScene']) {
+      Hooks.on(hook, () => this.scheduleRefresh());
+    }
+  }
+
+  /**
+   * Check whether the current user has the overlay switched on
+   *
+   * @static
+   * @returns {boolean} True if the overlay is shown
+   */
+  static isShown() {
+    return game.settings.get(this.MODULE_ID, 'showOverlay') ?? false;
+  }
+
+  /**
+   * Switch the overlay on or off for the current user
+   *
+   * @static
+   * @async
+   * @param {boolean} shown - Whether to show the overlay
+   */
+  static async setShown(shown) {
+    await game.settings.set(this.MODULE_ID, 'showOverlay', shown);
+  }
+}
+
+/**
+ * Canvas layer drawing shared hexes, occupant counts and grapple links
+ *
+ * @extends {foundry.canvas.layers.CanvasLayer}
+ */
+export class GrappleOverlayLayer extends foundry.canvas.layers.CanvasLayer {
+  /** @override */
+  static get layerOptions() {
+    return foundry.utils.mergeObject(super.layerOptions, { name: GrappleOverlay.LAYER });
+  }
+
+  /** @override */
+  async _draw(options) {
+    this.cells = this.addChild(new PIXI.Graphics());
+    this.links = this.addChild(new PIXI.Graphics());
+    this.badges = this.addChild(new PIXI.Container());
+    this.refresh();
+  }
+
+  /** @override */
+  async _tearDown(options) {
+    this.cells = this.links = this.badges = null;
+    return super._tearDown(options);
+  }
+
+  /**
+   * Redraw the whole overlay from the current occupancy and links
+   */
+  refresh() {
+    if (!this.cells) return;
+
+    this.cells.clear();
+    this.links.clear();
+    this.badges.removeChildren().forEach(badge => badge.destroy({ children: true }));
+
+    this.visible = GrappleOverlay.isShown() && GrappleUtils.isRunning();
+    if (!this.visible) return;
+
+    for (const key of GrappleUtils.sceneState.cells.keys()) {
+      const count = GrappleUtils.getVisibleOccupants(key).length;
+      if (count > 1) this.drawCell(key, count);
+    }
+    this.drawLinks();
+  }
+
+  /**
+   * Highlight a shared cell and put its occupant count in a badge
+   *
+   * @param {string} key - Grid cell key
+   * @param {number} count - Number of visible occupants
+   */
+  drawCell(key, count) {
+    const center = GrappleUtils.centerFromKey(key);
+    const size = canvas.grid.size;
+
+    this.cells.lineStyle(3, GrappleOverlay.COLORS.CELL, 0.9).beginFill(GrappleOverlay.COLORS.CELL, 0.15);
+    if (key.startsWith(GrappleUtils.GRIDLESS_KEY_PREFIX)) {
+      this.cells.drawCircle(center.x, center.y, size * GrappleUtils.getGridlessRadius());
+    } else {
+      const [col, row] = GrappleUtils.splitKey(key).base.split(',').map(Number);
+      this.cells.drawPolygon(canvas.grid.getVertices({ i: row, j: col }));
+    }
+    this.cells.endFill();
+
+    const badge = new PIXI.Container();
+    const radius = size * 0.12;
+    const circle = new PIXI.Graphics()
+      .lineStyle(2, GrappleOverlay.COLORS.CELL, 1)
+      .beginFill(GrappleOverlay.COLORS.BADGE, 0.85)
+      .drawCircle(0, 0, radius)
+      .endFill();
+    const text = new PIXI.Text(String(count), {
+      fontFamily: 'Signika',
+      fontSize: radius * 1.3,
+      fontWeight: 'bold',
+      fill: GrappleOverlay.COLORS.BADGE_TEXT
+    });
+    text.anchor.set(0.5);
+    badge.addChild(circle, text);
+    badge.position.set(center.x + size * 0.3, center.y - size * 0.3);
+    this.badges.addChild(badge);
+  }
+
+  /**
+   * Draw a line from every visible grappler to each visible target it holds
+   */
+  drawLinks() {
+    const tokens = canvas.scene.tokens;
+    const centerOf = (tokenDoc) => {
+      const { w, h } = GrappleUtils.getPixelSize(tokenDoc, 1);
+      return { x: tokenDoc.x + w / 2, y: tokenDoc.y + h / 2 };
+    };
+
+    for (const grapplerDoc of tokens) {
+      if (GrappleUtils.shouldIgnoreToken(grapplerDoc)) continue;
+
+      for (const targetId of GrappleLinks.getTargets(grapplerDoc)) {
+        const targetDoc = tokens.get(targetId);
+        if (!targetDoc || GrappleUtils.shouldIgnoreToken(targetDoc)) continue;
+
+        const from = centerOf(grapplerDoc);
+        const to = centerOf(targetDoc);
+        this.links
+          .lineStyle(4, GrappleOverlay.COLORS.LINK, 0.9)
+          .moveTo(from.x, from.y)
+          .lineTo(to.x, to.y)
+          .lineStyle(0)
+          .beginFill(GrappleOverlay.COLORS.LINK, 0.9)
+          .drawCircle(to.x, to.y, canvas.grid.size * 0.06)
+          .endFill();
+      }
+    }
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * GURPS Grapple Party Scene Config
+ *
+ * Adds a "Grapple Party" tab to the Scene Config sheet. A tight 1-yard-hex dungeon
+ * map and a zoomed-out battlefield need different values, so each scene can switch
+ * the module off or override the pair scale, center distance, maximum ignored scale
+ * and newcomer offsets. Empty fields fall back to the world settings.
+ *
+ * The values are scene flags under flags['gurps-grapple-party'] (see GrappleUtils.SCENE_FLAGS).
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+
+/**
+ * Static helpers for the Scene Config tab
+ *
+ * @class GrappleSceneConfig
+ */
+export class GrappleSceneConfig {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Tab identifier inside the sheet's tab group
+   * @static
+   * @constant {string}
+   */
+  static TAB = 'gurps-grapple-party';
+
+  /**
+   * Tab template path
+   * @static
+   * @constant {string}
+   */
+  static TEMPLATE = 'modules/gurps-grapple-party/templates/scene-config.html';
+
+  /**
+   * Add the Grapple Party tab to a Scene Config sheet
+   *
+   * @static
+   * @async
+   * @param {SceneConfig} app - The rendered sheet
+   * @param {HTMLElement} html - The sheet element
+   * @listens Hooks#renderSceneConfig
+   */
+  static async onRenderSceneConfig(app, html) {
+    const nav = html.querySelector('nav.sheet-tabs');
+    const footer = html.querySelector('.form-footer');
+    if (!nav || !footer || nav.querySelector(`[data-tab="${this.TAB}"]`)) return;
+
+    const scene = app.document;
+    const group = nav.querySelector('[data-group]')?.dataset.group ?? 'sheet';
+    const active = app.tabGroups?.[group] === this.TAB;
+
+    const tab = document.createElement('a');
+    tab.dataset.action = 'tab';
+    tab.dataset.group = group;
+    tab.dataset.tab = this.TAB;
+    tab.classList.toggle('active', active);
+    tab.innerHTML = `<i class="fas fa-hands" inert></i> <span>${game.i18n.localize('GURPS_GRAPPLE_PARTY.sceneConfig.tab')}</span>`;
+    nav.append(tab);
+
+    const value = flag => GrappleUtils.getSceneValue(flag, scene) ?? '';
+    const content = await foundry.applications.handlebars.renderTemplate(this.TEMPLATE, {
+      moduleId: this.MODULE_ID,
+      group,
+      tab: this.TAB,
+      active,
+      flags: GrappleUtils.SCENE_FLAGS,
+      disabled: !GrappleUtils.isSceneEnabled(scene),
+      pairScale: value(GrappleUtils.SCENE_FLAGS.PAIR_SCALE),
+      centerDistance: value(GrappleUtils.SCENE_FLAGS.CENTER_DISTANCE),
+      maxIgnoredScale: value(GrappleUtils.SCENE_FLAGS.MAX_IGNORED_SCALE),
+      offsetX: value(GrappleUtils.SCENE_FLAGS.OFFSET_X),
+      offsetY: value(GrappleUtils.SCENE_FLAGS.OFFSET_Y),
+      defaults: {
+        pairScale: game.settings.get(this.MODULE_ID, 'pairScale'),
+        centerDistance: game.settings.get(this.MODULE_ID, 'centerDistance'),
+        maxIgnoredScale: game.settings.get(this.MODULE_ID, 'maxIgnoredScale'),
+        offsetX: GrappleUtils.NEWCOMER_OFFSET_GRID_FRAC_X,
+        offsetY: GrappleUtils.NEWCOMER_OFFSET_GRID_FRAC_Y
+      }
+    });
+    footer.insertAdjacentHTML('beforebegin', content);
+  }
+}
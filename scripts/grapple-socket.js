@@ -0,0 +1,91 @@
+/**
+ * GURPS Grapple Party Socket
+ *
+ * Thin wrapper around the module socket. Only one GM per scene (the executor) changes
+ * token documents; other clients use this channel to send it what they need, such as
+ * a request to approve a drag.
+ *
+ * Messages have the shape { type, payload }. Handlers get the sender's user ID as relayed by
+ * the server, never a value from the message itself, so it can be trusted for permission checks.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+/**
+ * Static module socket helpers
+ *
+ * @class GrappleSocket
+ */
+export class GrappleSocket {
+  /**
+   * Socket channel of the module (requires "socket": true in module.json)
+   * @static
+   * @constant {string}
+   */
+  static CHANNEL = 'module.gurps-grapple-party';
+
+  /**
+   * Message types
+   * @static
+   * @constant {Object}
+   */
+  static TYPES = {
+    DRAG_APPROVAL: 'dragApproval'
+  };
+
+  /**
+   * Registered message handlers by type
+   * @static
+   * @type {Map<string, Function>}
+   */
+  static handlers = new Map();
+
+  /**
+   * Start listening on the module channel
+   * Called once when the game is ready
+   *
+   * @static
+   */
+  static register() {
+    game.socket.on(this.CHANNEL, (message, senderId) => this.handleMessage(message, senderId));
+  }
+
+  /**
+   * Register the handler for a message type
+   *
+   * @static
+   * @param {string} type - One of {@link GrappleSocket.TYPES}
+   * @param {Function} handler - Called with (payload, senderId)
+   */
+  static on(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Send a message to the other connected clients
+   *
+   * @static
+   * @param {string} type - One of {@link GrappleSocket.TYPES}
+   * @param {Object} payload - Message data
+   */
+  static emit(type, payload) {
+    game.socket.emit(this.CHANNEL, { type, payload });
+  }
+
+  /**
+   * Dispatch an incoming message to its handler
+   *
+   * @static
+   * @param {Object} message - The received message
+   * @param {string} senderId - ID of the sending user, added by the server
+   */
+  static handleMessage(message, senderId) {
+    const handler = this.handlers.get(message?.type);
+    if (!handler) return;
+
+    Promise.resolve()
+      .then(() => handler(message.payload, senderId))
+      .catch(error => console.error(`${this.CHANNEL} | Error handling socket message "${message.type}":`, error));
+  }
+}
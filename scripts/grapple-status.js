@@ -0,0 +1,139 @@
+/**
+ * GURPS Grapple Party Status Rules
+ *
+ * Decides how defeated, unconscious and prone tokens take part in a shared hex:
+ * - manage: the token is arranged like any other (default)
+ * - ignore: the token is left alone and does not count as an occupant
+ * - underneath: the token does not count as an occupant, but lies shrunk on the hex
+ *   center below whoever stands there
+ * Prone tokens can also be drawn below the standing ones.
+ *
+ * Statuses are read from the actor's status effects; a combatant marked defeated in the
+ * combat tracker counts as defeated too.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+/**
+ * Static helpers for status-aware management
+ *
+ * @class GrappleStatus
+ */
+export class GrappleStatus {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * How a token with a status takes part in a shared hex
+   * @static
+   * @constant {Object}
+   */
+  static RULES = {
+    MANAGE: 'manage',
+    IGNORE: 'ignore',
+    UNDERNEATH: 'underneath'
+  };
+
+  /**
+   * Statuses the module reacts to
+   * @static
+   * @constant {Object}
+   */
+  static STATUSES = {
+    DEFEATED: 'defeated',
+    UNCONSCIOUS: 'unconscious',
+    PRONE: 'prone'
+  };
+
+  /**
+   * Setting holding the rule of each status that has one
+   * @static
+   * @constant {Object}
+   */
+  static RULE_SETTINGS = {
+    defeated: 'defeatedTokens',
+    unconscious: 'unconsciousTokens'
+  };
+
+  /**
+   * Get the status effect ID of a status
+   * Defeated uses the core defeated status, which game systems may rename
+   *
+   * @static
+   * @param {string} status - One of {@link GrappleStatus.STATUSES}
+   * @returns {string} Status effect ID
+   */
+  static getStatusId(status) {
+    if (status === this.STATUSES.DEFEATED) return CONFIG.specialStatusEffects?.DEFEATED ?? 'dead';
+    return status;
+  }
+
+  /**
+   * Check whether a token has a status
+   *
+   * @static
+   * @param {TokenDocument|Object} tokenDoc - The token document, or token data for temporary checks
+   * @param {string} status - One of {@link GrappleStatus.STATUSES}
+   * @returns {boolean} True if the token's actor has the status effect
+   */
+  static hasStatus(tokenDoc, status) {
+    if (status === this.STATUSES.DEFEATED && tokenDoc.combatant?.isDefeated) return true;
+    return !!tokenDoc.actor?.statuses?.has(this.getStatusId(status));
+  }
+
+  /**
+   * Get the rule a token follows in a shared hex
+   * With several statuses the strictest rule wins: ignore, then underneath
+   *
+   * @static
+   * @param {TokenDocument|Object} tokenDoc - The token document, or token data for temporary checks
+   * @returns {string} One of {@link GrappleStatus.RULES}
+   */
+  static getRule(tokenDoc) {
+    const rules = Object.entries(this.RULE_SETTINGS)
+      .filter(([status]) => this.hasStatus(tokenDoc, status))
+      .map(([, setting]) => game.settings.get(this.MODULE_ID, setting));
+    if (rules.includes(this.RULES.IGNORE)) return this.RULES.IGNORE;
+    if (rules.includes(this.RULES.UNDERNEATH)) return this.RULES.UNDERNEATH;
+    return this.RULES.MANAGE;
+  }
+
+  /**
+   * Check whether a token is drawn below the standing tokens of its hex
+   *
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {boolean} True if the token is prone and prone tokens are drawn below
+   */
+  static isDrawnBelow(tokenDoc) {
+    return !!game.settings.get(this.MODULE_ID, 'proneBelow') && this.hasStatus(tokenDoc, this.STATUSES.PRONE);
+  }
+
+  /**
+   * Check whether any status rule is configured
+   *
+   * @static
+   * @returns {boolean} True if statuses change how some tokens are arranged
+   */
+  static isActive() {
+    return !!game.settings.get(this.MODULE_ID, 'proneBelow')
+      || Object.values(this.RULE_SETTINGS).some(setting => game.settings.get(this.MODULE_ID, setting) !== this.RULES.MANAGE);
+  }
+
+  /**
+   * Check whether an active effect carries one of the statuses the module reacts to
+   *
+   * @static
+   * @param {ActiveEffect} effect - The active effect
+   * @returns {boolean} True if toggling the effect may change how its tokens are arranged
+   */
+  static affects(effect) {
+    const statusIds = Object.values(this.STATUSES).map(status => this.getStatusId(status));
+    return [...(effect.statuses ?? [])].some(id => statusIds.includes(id));
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * GURPS Grapple Party Token Config
+ *
+ * Adds a "Grapple Party" tab to the Token Config sheet and to the actor's Prototype
+ * Token sheet, so a token (or every token of an actor) can opt out of the module,
+ * stay at full size as an anchor, use its own pair scale, prefer a side of the hex or
+ * keep its rotation when paired.
+ * Mounts, swarms and giant monsters need different treatment from regular fighters.
+ *
+ * The options are plain token flags under flags['gurps-grapple-party'] (see
+ * GrappleUtils.FLAGS), so prototype values are copied to every token placed from the actor.
+ *
+ * @author GURPS Community
+ * @since Foundry VTT v13+
+ */
+
+import { GrappleUtils } from './grapple-utils.js';
+
+/**
+ * Static helpers for the Token Config tab
+ *
+ * @class GrappleTokenConfig
+ */
+export class GrappleTokenConfig {
+  /**
+   * Module identifier constant
+   * @static
+   * @constant {string}
+   */
+  static MODULE_ID = 'gurps-grapple-party';
+
+  /**
+   * Tab identifier inside the sheet's tab group
+   * @static
+   * @constant {string}
+   */
+  static TAB = 'gurps-grapple-party';
+
+  /**
+   * Tab template path
+   * @static
+   * @constant {string}
+   */
+  static TEMPLATE = 'modules/gurps-grapple-party/templates/token-config.html';
+
+  /**
+   * Sides a token can prefer on each kind of grid, as angles from the cell center
+   * (radians, y pointing down). Squares and gridless scenes offer eight compass sides;
+   * hexes offer their six edges, which depend on whether the hexes are in rows or columns.
+   * @static
+   * @constant {Object}
+   */
+  static SIDES = {
+    square: {
+      top: -Math.PI / 2,
+      topRight: -Math.PI / 4,
+      right: 0,
+      bottomRight: Math.PI / 4,
+      bottom: Math.PI / 2,
+      bottomLeft: (3 * Math.PI) / 4,
+      left: Math.PI,
+      topLeft: (-3 * Math.PI) / 4
+    },
+    hexRows: {
+      topRight: -Math.PI / 3,
+      right: 0,
+      bottomRight: Math.PI / 3,
+      bottomLeft: (2 * Math.PI) / 3,
+      left: Math.PI,
+      topLeft: (-2 * Math.PI) / 3
+    },
+    hexColumns: {
+      top: -Math.PI / 2,
+      topRight: -Math.PI / 6,
+      bottomRight: Math.PI / 6,
+      bottom: Math.PI / 2,
+      bottomLeft: (5 * Math.PI) / 6,
+      topLeft: (-5 * Math.PI) / 6
+    }
+  };
+
+  /**
+   * Get the sides a token can prefer on a grid
+   *
+   * @static
+   * @param {BaseGrid} [grid] - The grid, defaults to the viewed scene's
+   * @returns {Object<string, number>} Angle in radians per side name
+   */
+  static getSides(grid = canvas?.grid) {
+    if (!grid?.isHexagonal) return this.SIDES.square;
+    return grid.columns ? this.SIDES.hexColumns : this.SIDES.hexRows;
+  }
+
+  /**
+   * Get the angle of a preferred side on a grid
+   * A side the grid does not have (set on another kind of grid) snaps to the closest one it has
+   *
+   * @static
+   * @param {string} side - Side name
+   * @param {BaseGrid} [grid] - The grid, defaults to the viewed scene's
+   * @returns {number|undefined} Angle in radians, or undefined for no preference
+   */
+  static getSideAngle(side, grid = canvas?.grid) {
+    const sides = this.getSides(grid);
+    if (side in sides) return sides[side];
+
+    const angle = this.SIDES.square[side];
+    if (typeof angle !== 'number') return undefined;
+    const distance = (other) => Math.abs(Math.atan2(Math.sin(other - angle), Math.cos(other - angle)));
+    return Object.values(sides).reduce((best, other) => distance(other) < distance(best) ? other : best);
+  }
+
+  /**
+   * Add the Grapple Party tab to a Token Config or Prototype Token Config sheet
+   *
+   * @static
+   * @async
+   * @param {TokenConfig|PrototypeTokenConfig} app - The rendered sheet
+   * @param {HTMLElement} html - The sheet element
+   * @listens Hooks#renderTokenConfig
+   * @listens Hooks#renderPrototypeTokenConfig
+   */
+  static async onRenderTokenConfig(app, html) {
+    const nav = html.querySelector('nav.sheet-tabs');
+    const footer = html.querySelector('.form-footer');
+    if (!nav || !footer || nav.querySelector(`[data-tab="${this.TAB}"]`)) return;
+
+    const token = app.token ?? app.document;
+    const flags = foundry.utils.getProperty(token, `flags.${this.MODULE_ID}`) ?? {};
+    const FLAGS = GrappleUtils.FLAGS;
+    const group = nav.querySelector('[data-group]')?.dataset.group ?? 'sheet';
+    const active = app.tabGroups?.[group] === this.TAB;
+
+    const tab = document.createElement('a');
+    tab.dataset.action = 'tab';
+    tab.dataset.group = group;
+    tab.dataset.tab = this.TAB;
+    tab.classList.toggle('active', active);
+    tab.innerHTML = `<i class="fas fa-hands" inert></i> <span>${game.i18n.localize('GURPS_GRAPPLE_PARTY.tokenConfig.tab')}</span>`;
+    nav.append(tab);
+
+    const content = await foundry.applications.handlebars.renderTemplate(this.TEMPLATE, {
+      moduleId: this.MODULE_ID,
+      group,
+      tab: this.TAB,
+      active,
+      flags: FLAGS,
+      neverManage: !!flags[FLAGS.NEVER_MANAGE],
+      anchor: !!flags[FLAGS.ANCHOR],
+      pairScale: typeof flags[FLAGS.PAIR_SCALE] === 'number' ? flags[FLAGS.PAIR_SCALE] : '',
+      defaultPairScale: game.settings.get(this.MODULE_ID, 'pairScale'),
+      preferredSide: flags[FLAGS.PREFERRED_SIDE] ?? '',
+      keepRotation: !!flags[FLAGS.KEEP_ROTATION],
+      blankSide: game.i18n.localize('GURPS_GRAPPLE_PARTY.tokenConfig.sides.auto'),
+      sides: Object.fromEntries(Object.keys(this.getSides(token.parent?.grid)).map(side => [side, `GURPS_GRAPPLE_PARTY.tokenConfig.sides.${side}`]))
+    });
+    footer.insertAdjacentHTML('beforebegin', content);
+  }
+}
@@ -15,6 +15,16 @@
  * @since Foundry VTT v13+
  */
 
+import { GrappleLayout } from './grapple-layout.js';
+import { GrappleLinks } from './grapple-links.js';
+import { GrappleDrag } from './grapple-drag.js';
+import { GrappleSocket } from './grapple-socket.js';
+import { GrappleTokenConfig } from './grapple-token-config.js';
+import { GrappleGurps } from './grapple-gurps.js';
+import { GrappleContest } from './grapple-contest.js';
+import { GrappleHud } from './grapple-hud.js';
+import { GrappleStatus } from './grapple-status.js';
+
 /**
  * Main utility class for GURPS Grapple Party functionality
  * All methods are static to maintain single global state and prevent concurrent execution issues
@@ -52,30 +62,175 @@ export class GrappleUtils {
    */
   static NEWCOMER_OFFSET_GRID_FRAC_Y = -0.30;
 
+  /**
+   * Base distance from hex center for ring/arc layouts (fraction of grid)
+   * The center distance setting is added on top of this value
+   * @static
+   * @constant {number}
+   */
+  static LAYOUT_RADIUS_GRID_FRAC = 0.35;
+
+  /**
+   * Prefix for cell keys on gridless scenes
+   * Gridless keys hold the anchor point of a proximity cluster: "@x,y"
+   * @static
+   * @constant {string}
+   */
+  static GRIDLESS_KEY_PREFIX = '@';
+
+  /**
+   * Separator of the elevation layer in cell keys
+   * With an elevation band set, tokens off the ground layer use "col,row^elevation"
+   * (or "@x,y^elevation"); ground-level cells keep the plain key
+   * @static
+   * @constant {string}
+   */
+  static ELEVATION_KEY_SEPARATOR = '^';
+
+  /**
+   * Token flag names used to persist module state across reloads
+   * Stored under flags['gurps-grapple-party'] on each token document
+   * @static
+   * @constant {Object}
+   * @property {string} ORIGINAL_SCALE - Scale the token had before the module shrank it
+   * @property {string} ARRIVED_AT - Timestamp of when the token entered its current cell
+   * @property {string} ARRANGED - Whether the token is currently scaled/offset by the module
+   * @property {string} NEVER_MANAGE - Token Config option: the module leaves the token alone
+   * @property {string} ANCHOR - Token Config option: the token always stays at full size
+   * @property {string} PAIR_SCALE - Token Config option: pair scale used instead of the global setting
+   * @property {string} PREFERRED_SIDE - Token Config option: side of the hex the token takes
+   * @property {string} KEEP_ROTATION - Token Config option: the token is never turned to face its opponent
+   * @property {string} ORIGINAL_ROTATION - Rotation the token had before it was turned to face its opponent
+   */
+  static FLAGS = {
+    ORIGINAL_SCALE: 'originalScale',
+    ARRIVED_AT: 'arrivedAt',
+    ARRANGED: 'arranged',
+    NEVER_MANAGE: 'neverManage',
+    ANCHOR: 'anchor',
+    PAIR_SCALE: 'pairScale',
+    PREFERRED_SIDE: 'preferredSide',
+    KEEP_ROTATION: 'keepRotation',
+    ORIGINAL_ROTATION: 'originalRotation'
+  };
+
+  /**
+   * Token flags holding runtime state, cleared by a reset together with the grapple links
+   * The other flags are options the GM set in the Token Config
+   * @static
+   * @constant {string[]}
+   */
+  static RUNTIME_FLAGS = [
+    this.FLAGS.ORIGINAL_SCALE,
+    this.FLAGS.ARRIVED_AT,
+    this.FLAGS.ARRANGED,
+    this.FLAGS.ORIGINAL_ROTATION
+  ];
+
+  /**
+   * Token properties a GM-approved drag may replay; anything else in the request is dropped
+   * @static
+   * @constant {string[]}
+   */
+  static DRAG_KEYS = ['x', 'y', 'elevation', 'rotation'];
+
+  /**
+   * Scene flag names for the per-scene overrides set in Scene Config
+   * Stored under flags['gurps-grapple-party'] on each scene; empty values fall back to the world settings
+   * @static
+   * @constant {Object}
+   * @property {string} DISABLED - The module leaves this scene alone
+   * @property {string} PAIR_SCALE - Overrides the pairScale setting
+   * @property {string} CENTER_DISTANCE - Overrides the centerDistance setting
+   * @property {string} MAX_IGNORED_SCALE - Overrides the maxIgnoredScale setting
+   * @property {string} OFFSET_X - Overrides NEWCOMER_OFFSET_GRID_FRAC_X
+   * @property {string} OFFSET_Y - Overrides NEWCOMER_OFFSET_GRID_FRAC_Y
+   */
+  static SCENE_FLAGS = {
+    DISABLED: 'disabled',
+    PAIR_SCALE: 'pairScale',
+    CENTER_DISTANCE: 'centerDistance',
+    MAX_IGNORED_SCALE: 'maxIgnoredScale',
+    OFFSET_X: 'offsetX',
+    OFFSET_Y: 'offsetY'
+  };
+
+  /**
+   * Hooks fired by the module for other modules and macros
+   * @static
+   * @constant {Object}
+   * @property {string} PRE_ARRANGE - (hexKey, tokenIds) before a shared cell is arranged; return false to cancel
+   * @property {string} ARRANGED - (hexKey, tokenIds) after a shared cell was arranged
+   * @property {string} SEPARATED - (hexKey, tokenIds) after a cell stopped being shared: the token
+   *   left behind first, then the tokens that left it
+   */
+  static HOOKS = {
+    PRE_ARRANGE: 'gurpsGrappleParty.preArrange',
+    ARRANGED: 'gurpsGrappleParty.arranged',
+    SEPARATED: 'gurpsGrappleParty.separated'
+  };
+
   /**
    * Global state management object
-   * Maintains all module state including hooks, cell occupancy, and pending operations
+   * Maintains hooks and the running batch; cell occupancy lives in per-scene state
    * 
    * @static
    * @type {Object}
    * @property {Object} hooks - Registered Foundry hooks
-   * @property {Map<string, Set<string>>} cells - Maps cell keys to sets of token IDs
-   * @property {Map<string, Object>} pending - Pending token movements with metadata
-   * @property {Set<string>} busy - Token IDs currently being updated
-   * @property {Map<string, string>} firstInCell - Maps cell keys to first token ID in cell
-   * @property {Set<string>} arrangedTokens - Token IDs that have been arranged by the module
-   * @property {Map<string, number>} originalScales - Maps token IDs to their original scale values
+   * @property {Set<string>} busy - Token IDs of the batch currently being written
+   * @property {Promise} queue - Settles when the last queued operation has been written
+   * @property {Object|null} batch - The running operation's token updates (by token ID) and the module hooks to fire once they are written
+   * @property {Map<string, Object>} scenes - Maps scene IDs to their state (see {@link GrappleUtils.getSceneState})
    */
   static state = {
     hooks: {},
-    cells: new Map(),
-    pending: new Map(),
     busy: new Set(),
-    firstInCell: new Map(),
-    arrangedTokens: new Set(),
-    originalScales: new Map()
+    queue: Promise.resolve(),
+    batch: null,
+    scenes: new Map()
   };
 
+  /**
+   * Get the state of one scene, creating it on first access
+   * Each scene keeps its own grapple clusters and original scales, so switching
+   * maps never mixes token IDs from different scenes.
+   * 
+   * @static
+   * @param {string} [sceneId=canvas.scene?.id] - Scene ID, defaults to the viewed scene
+   * @returns {Object} Scene state
+   * @property {Map<string, Set<string>>} cells - Maps cell keys to sets of token IDs
+   * @property {Map<string, string>} firstInCell - Maps cell keys to first token ID in cell
+   * @property {Set<string>} arrangedTokens - Token IDs that have been arranged by the module
+   * @property {Map<string, number>} originalScales - Maps token IDs to their original scale values
+   * @property {Map<string, number>} entryAngles - Maps token IDs to the direction (radians) they entered their cell from
+   * @property {Map<string, string[]>} footprints - Maps token IDs to every cell key they occupy (center cell first)
+   */
+  static getSceneState(sceneId = canvas.scene?.id) {
+    let sceneState = this.state.scenes.get(sceneId);
+    if (!sceneState) {
+      sceneState = {
+        cells: new Map(),
+        firstInCell: new Map(),
+        arrangedTokens: new Set(),
+        originalScales: new Map(),
+        entryAngles: new Map(),
+        footprints: new Map()
+      };
+      this.state.scenes.set(sceneId, sceneState);
+    }
+    return sceneState;
+  }
+
+  /**
+   * State of the currently viewed scene
+   * 
+   * @static
+   * @type {Object}
+   */
+  static get sceneState() {
+    return this.getSceneState();
+  }
+
   // ========== Helper Methods ==========
 
   /**
@@ -96,6 +251,51 @@ export class GrappleUtils {
     return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 1;
   }
 
+  /**
+   * Read one of the module flags from a token document or plain token data
+   * 
+   * @static
+   * @param {TokenDocument|Object} tokenDoc - The token document or token data object
+   * @param {string} flag - Flag name, one of {@link GrappleUtils.FLAGS}
+   * @returns {*} The stored flag value, or undefined if not set
+   */
+  static getTokenFlag(tokenDoc, flag) {
+    return foundry.utils.getProperty(tokenDoc, `flags.${this.MODULE_ID}.${flag}`);
+  }
+
+  /**
+   * Get the persisted arrival time of a token in its current cell
+   * Tokens without a stored arrival time sort after all stamped tokens; a time queued
+   * in the running batch counts already
+   * 
+   * @static
+   * @param {string} tokenId - The token ID
+   * @returns {number} Arrival timestamp, or Infinity if unknown
+   */
+  static getArrivalTime(tokenId) {
+    const tokenDoc = canvas.scene?.tokens.get(tokenId);
+    const queued = this.state.batch?.updates.get(tokenId)?.data[`flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`];
+    const arrivedAt = queued ?? (tokenDoc ? this.getTokenFlag(tokenDoc, this.FLAGS.ARRIVED_AT) : undefined);
+    return typeof arrivedAt === 'number' ? arrivedAt : Infinity;
+  }
+
+  /**
+   * Sort token IDs by their persisted arrival order (earliest first)
+   * Tokens without an arrival time keep their relative order at the end
+   * 
+   * @static
+   * @param {string[]} tokenIds - Token IDs to sort
+   * @returns {string[]} A new array sorted by arrival time
+   */
+  static sortByArrival(tokenIds) {
+    return [...tokenIds].sort((a, b) => {
+      const timeA = this.getArrivalTime(a);
+      const timeB = this.getArrivalTime(b);
+      if (timeA === timeB) return 0;
+      return timeA < timeB ? -1 : 1;
+    });
+  }
+
   /**
    * Calculate pixel size of a token at a given scale
    * 
@@ -116,20 +316,123 @@ export class GrappleUtils {
 
   /**
    * Generate grid cell key from pixel coordinates
+   * Works on hex and square grids through the grid offset API; on gridless
+   * scenes the key is the anchor of the nearest proximity cluster.
    * 
    * @static
    * @param {number} x - X coordinate in pixels
    * @param {number} y - Y coordinate in pixels
    * @param {number} [width=1] - Token width in grid units
    * @param {number} [height=1] - Token height in grid units
-   * @returns {string} Grid cell key in format "col,row"
+   * @param {number} [elevation=0] - Token elevation, for the elevation layer
+   * @returns {string} Grid cell key in format "col,row" (or "@x,y" on gridless scenes)
    */
-  static keyFromXY(x, y, width = 1, height = 1) {
+  static keyFromXY(x, y, width = 1, height = 1, elevation = 0) {
     const gridSize = canvas.grid.size;
     const centerX = x + (width * gridSize) / 2;
     const centerY = y + (height * gridSize) / 2;
-    const [col, row] = canvas.grid.getGridPositionFromPixels(centerX, centerY);
-    return `${col},${row}`;
+    
+    if (canvas.grid.isGridless) return this.gridlessKeyFromPoint(centerX, centerY, elevation);
+    
+    const { i: row, j: col } = canvas.grid.getOffset({ x: centerX, y: centerY });
+    return this.layerKey(`${col},${row}`, elevation);
+  }
+
+  /**
+   * Get the elevation band from the module settings
+   * 
+   * @static
+   * @returns {number} Largest elevation difference between tokens sharing a cell, or 0 to ignore elevation
+   */
+  static getElevationBand() {
+    return game.settings.get(this.MODULE_ID, 'elevationBand') ?? 0;
+  }
+
+  /**
+   * Check whether two elevations are close enough to share a cell
+   * 
+   * @static
+   * @param {number} elevationA - First elevation
+   * @param {number} elevationB - Second elevation
+   * @returns {boolean} True if elevation is ignored or the difference is within the band
+   */
+  static isWithinBand(elevationA, elevationB) {
+    const band = this.getElevationBand();
+    return !band || Math.abs((elevationA ?? 0) - (elevationB ?? 0)) <= band;
+  }
+
+  /**
+   * Split a cell key into its grid part and its elevation layer
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @returns {{base: string, elevation: number}} Key without the layer, and the layer elevation
+   */
+  static splitKey(key) {
+    const index = key.lastIndexOf(this.ELEVATION_KEY_SEPARATOR);
+    if (index === -1) return { base: key, elevation: 0 };
+    return { base: key.slice(0, index), elevation: Number(key.slice(index + 1)) };
+  }
+
+  /**
+   * Find the elevation layer of a cell a token at the given elevation belongs to
+   * Like gridless clusters, a token joins the closest existing layer within the band
+   * or starts a new one at its own elevation.
+   * 
+   * @static
+   * @param {string} base - Grid cell key without layer
+   * @param {number} [elevation=0] - Token elevation
+   * @returns {string} Grid cell key with its layer
+   */
+  static layerKey(base, elevation = 0) {
+    if (!this.getElevationBand()) return base;
+
+    let closestKey = null;
+    let closestDistance = Infinity;
+    for (const key of this.sceneState.cells.keys()) {
+      const layer = this.splitKey(key);
+      if (layer.base !== base || !this.isWithinBand(layer.elevation, elevation)) continue;
+      const distance = Math.abs(layer.elevation - elevation);
+      if (distance < closestDistance) {
+        closestKey = key;
+        closestDistance = distance;
+      }
+    }
+
+    if (closestKey) return closestKey;
+    return elevation ? `${base}${this.ELEVATION_KEY_SEPARATOR}${elevation}` : base;
+  }
+
+  /**
+   * Find the gridless cell a token center belongs to
+   * A token joins the closest existing cluster whose anchor is within the proximity
+   * radius; otherwise it anchors a new cluster at its own center.
+   * 
+   * @static
+   * @param {number} x - Token center X in pixels
+   * @param {number} y - Token center Y in pixels
+   * @param {number} [elevation=0] - Token elevation; only clusters in its band are joined
+   * @returns {string} Gridless cell key in format "@x,y"
+   */
+  static gridlessKeyFromPoint(x, y, elevation = 0) {
+    const radius = canvas.grid.size * this.getGridlessRadius();
+    let closestKey = null;
+    let closestDistance = Infinity;
+    
+    for (const key of this.sceneState.cells.keys()) {
+      if (!key.startsWith(this.GRIDLESS_KEY_PREFIX)) continue;
+      if (!this.isWithinBand(this.splitKey(key).elevation, elevation)) continue;
+      const anchor = this.centerFromKey(key);
+      const distance = Math.hypot(anchor.x - x, anchor.y - y);
+      if (distance <= radius && distance < closestDistance) {
+        closestKey = key;
+        closestDistance = distance;
+      }
+    }
+    
+    if (closestKey) return closestKey;
+    const base = `${this.GRIDLESS_KEY_PREFIX}${Math.round(x)},${Math.round(y)}`;
+    return elevation && this.getElevationBand() ? `${base}${this.ELEVATION_KEY_SEPARATOR}${elevation}` : base;
   }
 
   /**
@@ -144,39 +447,88 @@ export class GrappleUtils {
       tokenDoc.x ?? 0,
       tokenDoc.y ?? 0,
       tokenDoc.width ?? 1,
-      tokenDoc.height ?? 1
+      tokenDoc.height ?? 1,
+      tokenDoc.elevation ?? 0
     );
   }
 
   /**
-   * Calculate center pixel coordinates from grid cell key
-   * Uses multiple fallback methods for cross-version compatibility
+   * Generate every cell key covered by a token footprint
+   * Tokens larger than one grid space occupy each cell whose center lies inside
+   * their width × height rectangle. Gridless scenes always use a single cluster.
    * 
    * @static
-   * @param {string} key - Grid cell key in format "col,row"
-   * @returns {Object} Center coordinates in pixels
-   * @property {number} x - X coordinate of hex center
-   * @property {number} y - Y coordinate of hex center
+   * @param {number} x - X coordinate in pixels
+   * @param {number} y - Y coordinate in pixels
+   * @param {number} [width=1] - Token width in grid units
+   * @param {number} [height=1] - Token height in grid units
+   * @param {number} [elevation=0] - Token elevation, for the elevation layer
+   * @returns {string[]} Cell keys, with the cell under the token center first
    */
-  static centerFromKey(key) {
-    const [col, row] = key.split(',').map(Number);
-    const halfGrid = canvas.grid.size / 2;
+  static keysFromXY(x, y, width = 1, height = 1, elevation = 0) {
+    const centerKey = this.keyFromXY(x, y, width, height, elevation);
+    if (canvas.grid.isGridless || (width <= 1 && height <= 1)) return [centerKey];
+
+    const gridSize = canvas.grid.size;
+    const right = x + width * gridSize;
+    const bottom = y + height * gridSize;
+    const step = gridSize / 2;
+    const keys = new Set([centerKey]);
 
-    // Try modern API first
-    if (canvas.grid.getPixelsFromGridPosition) {
-      const [x, y] = canvas.grid.getPixelsFromGridPosition(col, row);
-      return { x: x + halfGrid, y: y + halfGrid };
+    // Sample the footprint at half-cell steps and keep the cells centered inside it
+    for (let px = x + step / 2; px < right; px += step) {
+      for (let py = y + step / 2; py < bottom; py += step) {
+        const { i: row, j: col } = canvas.grid.getOffset({ x: px, y: py });
+        const key = this.layerKey(`${col},${row}`, elevation);
+        if (keys.has(key)) continue;
+        const center = this.centerFromKey(key);
+        if (center.x >= x && center.x <= right && center.y >= y && center.y <= bottom) {
+          keys.add(key);
+        }
+      }
     }
 
-    // Fallback for older versions
-    if (canvas.grid.getTopLeftPoint) {
-      const point = canvas.grid.getTopLeftPoint({ col, row });
-      return { x: point.x + halfGrid, y: point.y + halfGrid };
+    return [...keys];
+  }
+
+  /**
+   * Generate every cell key covered by a token document's footprint
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {string[]} Cell keys, with the cell under the token center first
+   */
+  static keysFromDoc(tokenDoc) {
+    return this.keysFromXY(
+      tokenDoc.x ?? 0,
+      tokenDoc.y ?? 0,
+      tokenDoc.width ?? 1,
+      tokenDoc.height ?? 1,
+      tokenDoc.elevation ?? 0
+    );
+  }
+
+  /**
+   * Calculate center pixel coordinates from grid cell key
+   * Hex and square cells use the grid's own center point; gridless keys
+   * carry their anchor point directly.
+   * 
+   * @static
+   * @param {string} key - Grid cell key in format "col,row" or "@x,y"
+   * @returns {Object} Center coordinates in pixels
+   * @property {number} x - X coordinate of cell center
+   * @property {number} y - Y coordinate of cell center
+   */
+  static centerFromKey(key) {
+    const { base } = this.splitKey(key);
+    if (base.startsWith(this.GRIDLESS_KEY_PREFIX)) {
+      const [x, y] = base.slice(this.GRIDLESS_KEY_PREFIX.length).split(',').map(Number);
+      return { x, y };
     }
 
-    // Legacy fallback
-    const [x0, y0] = canvas.grid.getTopLeft(col, row);
-    return { x: x0 + halfGrid, y: y0 + halfGrid };
+    const [col, row] = base.split(',').map(Number);
+    const { x, y } = canvas.grid.getCenterPoint({ i: row, j: col });
+    return { x, y };
   }
 
   /**
@@ -202,26 +554,213 @@ export class GrappleUtils {
 
   /**
    * Safely update a token document while preventing infinite loops
-   * Manages busy state to prevent concurrent updates on the same token
+   * Inside {@link GrappleUtils.batchUpdates} the change is queued and merged with any
+   * earlier change to the same token; outside a batch it is written on its own, after
+   * the operations already queued. A token whose last change is still being written
+   * gets the new one afterwards.
    * 
    * @static
    * @async
    * @param {TokenDocument} tokenDoc - Token document to update
    * @param {Object} updateData - Update data object
+   * @param {boolean|null} [arranged=true] - Whether the token ends up scaled/offset by the module;
+   *   null keeps what it is now, for changes that only touch flags
+   * @param {Object} [options={}] - Extra options for the update
+   * @param {boolean} [options.relocated=false] - The token changes cells, so other clients
+   *   update their membership
    * @throws {Error} If update fails
    */
-  static async updateTokenSafe(tokenDoc, updateData) {
-    if (this.state.busy.has(tokenDoc.id)) return;
+  static async updateTokenSafe(tokenDoc, updateData, arranged = true, options = {}) {
+    if (!this.state.batch) {
+      await this.batchUpdates(() => this.updateTokenSafe(tokenDoc, updateData, arranged, options));
+      return;
+    }
+    
+    const queued = this.state.batch.updates.get(tokenDoc.id);
+    this.state.batch.updates.set(tokenDoc.id, {
+      tokenDoc,
+      data: { ...queued?.data, ...updateData },
+      arranged: arranged ?? queued?.arranged ?? !!this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED),
+      relocated: !!(queued?.relocated || options.relocated)
+    });
+  }
+
+  /**
+   * Run an operation and write every token change it makes in a single round trip
+   * Calls to {@link GrappleUtils.updateTokenSafe} made while the operation runs are
+   * collected and sent with one updateEmbeddedDocuments call per scene. Module hooks
+   * queued by the operation fire after the write.
+   * 
+   * Operations run one at a time, in the order they were requested, so each one owns
+   * its batch: hook handlers for several tokens moved together never mix their changes.
+   * An operation must not call this method itself, or it would wait for itself.
+   * 
+   * @static
+   * @async
+   * @param {Function} operation - Async function that arranges tokens
+   * @throws {Error} If the update fails
+   */
+  static async batchUpdates(operation) {
+    const run = this.state.queue.then(() => this.runBatch(operation));
+    this.state.queue = run.catch(() => {});
+    await run;
+  }
+
+  /**
+   * Run one queued operation in its own batch and write its changes
+   * 
+   * @static
+   * @async
+   * @param {Function} operation - Async function that arranges tokens
+   * @throws {Error} If the update fails
+   */
+  static async runBatch(operation) {
+    this.state.batch = { updates: new Map(), after: [], hooks: [] };
+    let batch;
+    try {
+      await operation();
+    } finally {
+      batch = this.state.batch;
+      this.state.batch = null;
+    }
+    if (batch.updates.size) await this.flushBatch(batch.updates);
+    for (const callback of batch.after) {
+      await callback();
+    }
+    for (const [hook, ...args] of batch.hooks) {
+      Hooks.callAll(hook, ...args);
+    }
+  }
+
+  /**
+   * Run a follow-up once the running batch is written, or right away outside a batch
+   * For work that needs the written documents, such as conditions that read the links
+   * 
+   * @static
+   * @async
+   * @param {Function} callback - Async function to run
+   */
+  static async afterBatch(callback) {
+    if (this.state.batch) {
+      this.state.batch.after.push(callback);
+    } else {
+      await callback();
+    }
+  }
+
+  /**
+   * Fire a module hook once the running batch is written, or right away outside a batch
+   * 
+   * @static
+   * @param {string} hook - One of {@link GrappleUtils.HOOKS}
+   * @param {...*} args - Hook arguments
+   */
+  static queueHook(hook, ...args) {
+    if (this.state.batch) {
+      this.state.batch.hooks.push([hook, ...args]);
+    } else {
+      Hooks.callAll(hook, ...args);
+    }
+  }
+
+  /**
+   * Ask listeners whether a cell may be arranged
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @param {string[]} tokenIds - Occupants about to be arranged
+   * @returns {boolean} False if a listener cancelled the arrangement
+   */
+  static allowArrange(key, tokenIds) {
+    return Hooks.call(this.HOOKS.PRE_ARRANGE, key, [...tokenIds]) !== false;
+  }
+
+  /**
+   * Write a batch of queued token changes
+   * Persists the "arranged" marker and, when the scale changes, the token's original
+   * scale so both survive a reload. The whole batch is marked busy while it is written,
+   * and every token slides and rescales with the configured animation.
+   * 
+   * @static
+   * @async
+   * @param {Map<string, Object>} batch - Queued changes by token ID
+   */
+  static async flushBatch(batch) {
+    const flagPath = `flags.${this.MODULE_ID}`;
+    const byScene = new Map();
+    
+    for (const { tokenDoc, data: updateData, arranged, relocated } of batch.values()) {
+      const data = { _id: tokenDoc.id, ...updateData, [`${flagPath}.${this.FLAGS.ARRANGED}`]: arranged };
+      
+      if ('scale' in updateData) {
+        if (arranged && this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_SCALE) === undefined) {
+          // First time the module shrinks this token: remember where it came from
+          data[`${flagPath}.${this.FLAGS.ORIGINAL_SCALE}`] = this.getSoloScale(tokenDoc);
+        } else if (!arranged) {
+          // Back at solo scale: the current scale is the original again
+          data[`${flagPath}.-=${this.FLAGS.ORIGINAL_SCALE}`] = null;
+        }
+      }
+      
+      const scene = tokenDoc.parent;
+      if (!byScene.has(scene)) byScene.set(scene, { updates: [], relocated: [] });
+      byScene.get(scene).updates.push(data);
+      if (relocated) byScene.get(scene).relocated.push(tokenDoc.id);
+    }
     
-    this.state.busy.add(tokenDoc.id);
+    const ids = [...batch.keys()];
+    ids.forEach(id => this.state.busy.add(id));
     try {
-      await tokenDoc.update(updateData);
-      this.state.arrangedTokens.add(tokenDoc.id);
+      for (const [scene, { updates, relocated }] of byScene) {
+        await scene.updateEmbeddedDocuments('Token', updates, {
+          ...this.getAnimationOptions(),
+          [this.MODULE_ID]: { managed: true, relocated }
+        });
+        
+        const { arrangedTokens } = this.getSceneState(scene.id);
+        for (const { _id, [`${flagPath}.${this.FLAGS.ARRANGED}`]: arranged } of updates) {
+          if (arranged) {
+            arrangedTokens.add(_id);
+          } else {
+            arrangedTokens.delete(_id);
+          }
+        }
+      }
     } finally {
-      this.state.busy.delete(tokenDoc.id);
+      ids.forEach(id => this.state.busy.delete(id));
     }
   }
 
+  /**
+   * Get the update options that animate the module's token changes
+   * A duration of 0 makes the changes instant
+   * 
+   * @static
+   * @returns {Object} Options for updateEmbeddedDocuments
+   */
+  static getAnimationOptions() {
+    const duration = game.settings.get(this.MODULE_ID, 'animationDuration') ?? 0;
+    if (!duration) return { animate: false };
+
+    const easing = game.settings.get(this.MODULE_ID, 'animationEasing');
+    return { animation: { duration, ...(easing && easing !== 'linear' && { easing }) } };
+  }
+
+  /**
+   * Wait until a token's movement animation on this client is over
+   * Lets a move finish before the token eases into its spot, instead of being cut short
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The moving token
+   */
+  static async waitForMovement(tokenDoc) {
+    if (!game.settings.get(this.MODULE_ID, 'animationDuration')) return;
+    const token = tokenDoc.object;
+    await (token?.movementAnimationPromise
+      ?? foundry.canvas.animation.CanvasAnimation.getAnimation(token?.animationName)?.promise);
+  }
+
   /**
    * Set only the scale properties of a token
    * Checks if scale change is significant before updating
@@ -234,13 +773,16 @@ export class GrappleUtils {
   static async setScaleOnly(tokenDoc, scale) {
     // Adicionado um check para garantir que a escala é um número válido
     if (typeof scale !== 'number' || isNaN(scale)) return;
-    if (Math.abs(this.getApproximateScale(tokenDoc) - scale) <= 0.01) return;
+    // Compare against a scale already queued in this batch, if any
+    const currentScale = this.state.batch?.updates.get(tokenDoc.id)?.data.scale ?? this.getApproximateScale(tokenDoc);
+    if (Math.abs(currentScale - scale) <= 0.01) return;
     
+    const arranged = Math.abs(this.getSoloScale(tokenDoc) - scale) > 0.01;
     await this.updateTokenSafe(tokenDoc, {
       scale: scale,
       'texture.scaleX': scale,
       'texture.scaleY': scale
-    });
+    }, arranged);
   }
 
   /**
@@ -255,8 +797,15 @@ export class GrappleUtils {
     // Ignore hidden/invisible tokens
     if (tokenDoc.hidden) return true;
     
+    // Ignore tokens opted out in their Token Config
+    if (this.getTokenFlag(tokenDoc, this.FLAGS.NEVER_MANAGE)) return true;
+    
+    // Ignore defeated or unconscious tokens set to be ignored or to lie underneath
+    if (GrappleStatus.getRule(tokenDoc) !== GrappleStatus.RULES.MANAGE) return true;
+    
     // Ignore tokens larger than the configured threshold
-    const maxIgnoredScale = game.settings.get(this.MODULE_ID, 'maxIgnoredScale') ?? 1.5;
+    const maxIgnoredScale = this.getSceneValue(this.SCENE_FLAGS.MAX_IGNORED_SCALE)
+      ?? game.settings.get(this.MODULE_ID, 'maxIgnoredScale') ?? 1.5;
     
     // Handle both TokenDocument and plain objects (for temporary checks)
     let currentScale;
@@ -277,63 +826,279 @@ export class GrappleUtils {
 
   /**
    * Store the original scale of a token if not already stored
+   * Prefers the scale persisted in the token flags, so a token that was
+   * shrunk before a reload is not mistaken for a small token.
    * 
    * @static
    * @param {TokenDocument} tokenDoc - The token document
    */
   static storeOriginalScale(tokenDoc) {
-    if (!this.state.originalScales.has(tokenDoc.id)) {
-      const originalScale = this.getApproximateScale(tokenDoc);
-      this.state.originalScales.set(tokenDoc.id, originalScale);
+    const { originalScales } = this.getSceneState(tokenDoc.parent?.id);
+    if (!originalScales.has(tokenDoc.id)) {
+      const storedScale = this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_SCALE);
+      const originalScale = typeof storedScale === 'number' && !isNaN(storedScale)
+        ? storedScale
+        : this.getApproximateScale(tokenDoc);
+      originalScales.set(tokenDoc.id, originalScale);
     }
   }
 
   /**
    * Get current pair scale setting from game settings
+   * A custom pair scale set in the token's Token Config wins, then the scene override.
+   * With Size Modifier scaling, the scale grows or shrinks with the token's SM compared
+   * to the mean SM of the cell's occupants; tokens without SM data keep the flat scale.
    * 
    * @static
+   * @param {TokenDocument} [tokenDoc] - Token being scaled
+   * @param {string} [key] - Cell the token shares, for Size Modifier scaling
    * @returns {number} Scale value for paired tokens
    */
-  static getPairScale() {
-    return game.settings.get(this.MODULE_ID, 'pairScale') ?? 0.4;
+  static getPairScale(tokenDoc, key) {
+    const tokenScale = tokenDoc ? this.getTokenFlag(tokenDoc, this.FLAGS.PAIR_SCALE) : undefined;
+    const baseScale = typeof tokenScale === 'number' && tokenScale > 0
+      ? tokenScale
+      : this.getSceneValue(this.SCENE_FLAGS.PAIR_SCALE) ?? game.settings.get(this.MODULE_ID, 'pairScale') ?? 0.4;
+    if (!tokenDoc || !key || !game.settings.get(this.MODULE_ID, 'sizeModifierScaling')) return baseScale;
+
+    const sizeModifier = GrappleGurps.getSizeModifier(tokenDoc.actor);
+    if (sizeModifier === null) return baseScale;
+
+    const sizeModifiers = this.getVisibleOccupants(key)
+      .map(id => GrappleGurps.getSizeModifier(canvas.scene.tokens.get(id)?.actor))
+      .filter(value => value !== null);
+    const meanSizeModifier = sizeModifiers.reduce((sum, value) => sum + value, 0) / sizeModifiers.length;
+    const scale = baseScale * GrappleGurps.sizeFactor(sizeModifier, meanSizeModifier);
+    return Math.min(1, Math.max(GrappleLayout.MIN_SCALE, scale));
   }
 
-  // ======================================================================
-  // ======================= INÍCIO DA CORREÇÃO ===========================
-  // ======================================================================
   /**
-   * Get current solo scale setting from game settings.
-   * Now returns the original scale for the specific token.
-   * If the original scale is not found, it falls back to the token's current scale.
+   * Get how much Size Modifier scaling grows or shrinks a token in a cell
+   * Used to pull a smaller token closer to the others, so it tucks in proportionally
    * 
    * @static
-   * @param {TokenDocument} tokenDoc - The token document
-   * @returns {number} Original scale value for the token, or its current scale as a fallback.
+   * @param {TokenDocument} tokenDoc - Token being placed
+   * @param {string} key - Cell the token shares
+   * @returns {number} Ratio of its SM-scaled pair scale to its flat pair scale (1 without SM scaling)
    */
-  static getSoloScale(tokenDoc) {
-    const originalScale = this.state.originalScales.get(tokenDoc.id);
-    
-    // Se a escala original foi encontrada e é um número válido, retorne-a.
-    if (typeof originalScale === 'number' && !isNaN(originalScale)) {
-      return originalScale;
-    }
-    
-    // Se não, use a escala ATUAL do token como fallback seguro.
-    // Isso garante que nunca retornaremos 'undefined' e evita a reversão para 1.
+  static getSizeFactor(tokenDoc, key) {
+    return this.getPairScale(tokenDoc, key) / this.getPairScale(tokenDoc);
+  }
+
+  /**
+   * Give every occupant of a shared cell its pair scale
+   * With Size Modifier scaling the scales follow the mean SM of the cell, so they
+   * change for everyone already there when a token joins
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   * @param {string} [exceptId] - Token placed separately by the caller
+   */
+  static async rescaleOccupants(key, exceptId) {
+    for (const id of this.getVisibleOccupants(key)) {
+      if (id === exceptId) continue;
+      const tokenDoc = canvas.scene.tokens.get(id);
+      if (tokenDoc && !this.isAnchored(tokenDoc)) {
+        await this.setScaleOnly(tokenDoc, this.getPairScale(tokenDoc, key));
+      }
+    }
+  }
+
+  /**
+   * Get a numeric override set in the viewed scene's Scene Config
+   * 
+   * @static
+   * @param {string} flag - One of {@link GrappleUtils.SCENE_FLAGS}
+   * @param {Scene} [scene=canvas.scene] - Scene to read
+   * @returns {number|undefined} The override, or undefined if the scene uses the world value
+   */
+  static getSceneValue(flag, scene = canvas.scene) {
+    const value = foundry.utils.getProperty(scene ?? {}, `flags.${this.MODULE_ID}.${flag}`);
+    return typeof value === 'number' && !isNaN(value) ? value : undefined;
+  }
+
+  /**
+   * Check if the module is enabled on a scene (Scene Config switch)
+   * 
+   * @static
+   * @param {Scene} [scene=canvas.scene] - Scene to check
+   * @returns {boolean} True unless the scene opted out
+   */
+  static isSceneEnabled(scene = canvas.scene) {
+    return !foundry.utils.getProperty(scene ?? {}, `flags.${this.MODULE_ID}.${this.SCENE_FLAGS.DISABLED}`);
+  }
+
+  /**
+   * Get the offset applied to a newcomer in a classic pair, as grid fractions
+   * 
+   * @static
+   * @returns {{x: number, y: number}} Scene override or the module defaults
+   */
+  static getNewcomerOffset() {
+    return {
+      x: this.getSceneValue(this.SCENE_FLAGS.OFFSET_X) ?? this.NEWCOMER_OFFSET_GRID_FRAC_X,
+      y: this.getSceneValue(this.SCENE_FLAGS.OFFSET_Y) ?? this.NEWCOMER_OFFSET_GRID_FRAC_Y
+    };
+  }
+
+  // ======================================================================
+  // ======================= INÍCIO DA CORREÇÃO ===========================
+  // ======================================================================
+  /**
+   * Get current solo scale setting from game settings.
+   * Now returns the original scale for the specific token.
+   * Looks in memory first, then in the persisted token flag, and finally
+   * falls back to the token's current scale.
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {number} Original scale value for the token, or its current scale as a fallback.
+   */
+  static getSoloScale(tokenDoc) {
+    const originalScale = this.getSceneState(tokenDoc.parent?.id).originalScales.get(tokenDoc.id);
+    
+    // Se a escala original foi encontrada e é um número válido, retorne-a.
+    if (typeof originalScale === 'number' && !isNaN(originalScale)) {
+      return originalScale;
+    }
+    
+    // Fall back to the scale persisted in the token flags (survives a reload)
+    const storedScale = this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_SCALE);
+    if (typeof storedScale === 'number' && !isNaN(storedScale)) {
+      return storedScale;
+    }
+    
+    // Se não, use a escala ATUAL do token como fallback seguro.
+    // Isso garante que nunca retornaremos 'undefined' e evita a reversão para 1.
     return this.getApproximateScale(tokenDoc);
   }
   // ======================================================================
   // ======================== FIM DA CORREÇÃO =============================
   // ======================================================================
 
+  /**
+   * Get gridless proximity radius setting from game settings
+   * 
+   * @static
+   * @returns {number} Radius between token centers as grid fraction
+   */
+  static getGridlessRadius() {
+    return game.settings.get(this.MODULE_ID, 'gridlessRadius') ?? 0.5;
+  }
+
+  /**
+   * Check if a token is a large creature spanning more than one grid space
+   * Large creatures are never shrunk or moved; smaller tokens are arranged against their edge
+   * 
+   * @static
+   * @param {TokenDocument|Object} tokenDoc - The token document or token data object
+   * @returns {boolean} True if the token covers more than one cell
+   */
+  static isLargeToken(tokenDoc) {
+    if (canvas.grid.isGridless) return false;
+    return (tokenDoc.width ?? 1) > 1 || (tokenDoc.height ?? 1) > 1;
+  }
+
+  /**
+   * Check if a token keeps its full size: a large creature, or a token set as anchor
+   * in its Token Config. Smaller tokens are arranged against its edge.
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {boolean} True if the token is never shrunk
+   */
+  static isAnchored(tokenDoc) {
+    return this.isLargeToken(tokenDoc) || !!this.getTokenFlag(tokenDoc, this.FLAGS.ANCHOR);
+  }
+
+  /**
+   * Check if a token lies underneath its hex instead of sharing it
+   * Such tokens are not occupants, but shrink below whoever stands on them
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {boolean} True if the token's status puts it underneath
+   */
+  static isLyingUnderneath(tokenDoc) {
+    return !tokenDoc.hidden
+      && !this.getTokenFlag(tokenDoc, this.FLAGS.NEVER_MANAGE)
+      && GrappleStatus.getRule(tokenDoc) === GrappleStatus.RULES.UNDERNEATH;
+  }
+
+  /**
+   * Get the direction of the hex side a token prefers, set in its Token Config
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {number|undefined} Angle in radians, or undefined if the token has no preference
+   */
+  static getPreferredAngle(tokenDoc) {
+    return GrappleTokenConfig.getSideAngle(this.getTokenFlag(tokenDoc, this.FLAGS.PREFERRED_SIDE), tokenDoc.parent?.grid);
+  }
+
+  /**
+   * Get current layout style setting from game settings
+   * 
+   * @static
+   * @returns {string} One of {@link GrappleLayout.STYLES}
+   */
+  static getLayoutStyle() {
+    return game.settings.get(this.MODULE_ID, 'layoutStyle') ?? GrappleLayout.STYLES.CLASSIC;
+  }
+
+  /**
+   * Check whether a hex with the given number of occupants is arranged by the layout engine
+   * The classic style keeps the original midpoint placement for pairs
+   * 
+   * @static
+   * @param {number} count - Number of visible occupants
+   * @returns {boolean} True if the whole hex should be re-flowed
+   */
+  static usesLayoutEngine(count) {
+    return count > 2 || this.getLayoutStyle() !== GrappleLayout.STYLES.CLASSIC;
+  }
+
+  /**
+   * Get the team a token fights for, for the sides layout
+   * A token in a combatant group of the scene's combat belongs to that group; otherwise
+   * tokens are grouped by disposition, with secret tokens counted as hostile
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {string} Team identifier, equal for allies
+   */
+  static getTeam(tokenDoc) {
+    const groupId = tokenDoc.combatant?.group?.id;
+    if (groupId) return `group:${groupId}`;
+
+    const { HOSTILE, SECRET } = CONST.TOKEN_DISPOSITIONS;
+    const disposition = tokenDoc.disposition === SECRET ? HOSTILE : tokenDoc.disposition;
+    return `disposition:${disposition}`;
+  }
+
   /**
    * Get current center distance setting from game settings
+   * The scene override wins over the world setting
    * 
    * @static
    * @returns {number} Distance from center as grid fraction
    */
   static getCenterDistance() {
-    return game.settings.get(this.MODULE_ID, 'centerDistance') ?? -0.10;
+    return this.getSceneValue(this.SCENE_FLAGS.CENTER_DISTANCE)
+      ?? game.settings.get(this.MODULE_ID, 'centerDistance') ?? -0.10;
+  }
+
+  /**
+   * Check if a token belongs to the scene currently shown on the canvas
+   * Grid math and occupancy only make sense for the viewed scene
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {boolean} True if the token is on the viewed scene
+   */
+  static isOnViewedScene(tokenDoc) {
+    return !!canvas.scene && tokenDoc.parent?.id === canvas.scene.id;
   }
 
   /**
@@ -345,7 +1110,7 @@ export class GrappleUtils {
    * @returns {boolean} True if token is managed by the module, false otherwise
    */
   static isTokenManaged(tokenId) {
-    for (const [key, tokenSet] of this.state.cells.entries()) {
+    for (const [key, tokenSet] of this.sceneState.cells.entries()) {
       if (tokenSet.has(tokenId)) {
         return true;
       }
@@ -353,6 +1118,78 @@ export class GrappleUtils {
     return false;
   }
 
+  /**
+   * Get the visible, non-ignored occupants of a cell in arrival order
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @returns {string[]} Token IDs
+   */
+  static getVisibleOccupants(key) {
+    const tokenSet = this.sceneState.cells.get(key);
+    if (!tokenSet) return [];
+    return this.sortByArrival(tokenSet).filter(id => {
+      const tokenDoc = canvas.scene.tokens.get(id);
+      return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
+    });
+  }
+
+  /**
+   * Get every cell key a token is currently tracked in
+   * 
+   * @static
+   * @param {string} tokenId - The token ID
+   * @returns {string[]} Cell keys (center cell first), empty if the token is not tracked
+   */
+  static getTokenKeys(tokenId) {
+    const footprint = this.sceneState.footprints.get(tokenId);
+    if (footprint) return footprint.filter(key => this.sceneState.cells.get(key)?.has(tokenId));
+
+    for (const [key, tokenSet] of this.sceneState.cells.entries()) {
+      if (tokenSet.has(tokenId)) return [key];
+    }
+    return [];
+  }
+
+  /**
+   * Get the first large creature or anchor among the visible occupants of a cell
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @returns {TokenDocument|null} The anchored token document, or null if there is none
+   */
+  static getAnchorOccupant(key) {
+    for (const id of this.getVisibleOccupants(key)) {
+      const tokenDoc = canvas.scene.tokens.get(id);
+      if (tokenDoc && this.isAnchored(tokenDoc)) return tokenDoc;
+    }
+    return null;
+  }
+
+  /**
+   * Get the side a token entered its cell from, as an angle from the cell center
+   * A preferred side set in the Token Config wins. Falls back to the token's current
+   * offset from the center when no movement was recorded
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @param {Object} center - Cell center in pixels
+   * @returns {number|undefined} Angle in radians, or undefined if the token sits on the center
+   */
+  static getEntryAngle(tokenDoc, center) {
+    const preferredAngle = this.getPreferredAngle(tokenDoc);
+    if (typeof preferredAngle === 'number') return preferredAngle;
+
+    const storedAngle = this.sceneState.entryAngles.get(tokenDoc.id);
+    if (typeof storedAngle === 'number') return storedAngle;
+
+    const { w, h } = this.getPixelSize(tokenDoc, 1);
+    const dx = tokenDoc.x + w / 2 - center.x;
+    const dy = tokenDoc.y + h / 2 - center.y;
+    if (Math.hypot(dx, dy) < canvas.grid.size * 0.05) return undefined;
+    return Math.atan2(dy, dx);
+  }
+
   // ========== Lifecycle Management ==========
 
   /**
@@ -381,32 +1218,55 @@ export class GrappleUtils {
       }
     }
     
-    this.state.cells.clear();
-    this.state.pending.clear();
     this.state.busy.clear();
-    this.state.firstInCell.clear();
+    this.state.queue = Promise.resolve();
+    this.state.batch = null;
+    for (const sceneState of this.state.scenes.values()) {
+      sceneState.cells.clear();
+      sceneState.firstInCell.clear();
+      sceneState.entryAngles.clear();
+      sceneState.footprints.clear();
+    }
     window[this.NAMESPACE] = this.state;
   }
 
   /**
-   * Bootstrap existing tokens in the scene
-   * Populates cell tracking without moving or scaling existing tokens
+   * Bootstrap existing tokens in the viewed scene
+   * Populates cell tracking without moving or scaling existing tokens.
+   * Runs on initialization and again on every canvasReady (scene switch).
+   * Original scales, arrival order and the arranged marker are rebuilt from
+   * token flags, so a grapple in progress survives reloads and GM handoffs.
    * 
    * @static
    */
   static bootstrap() {
     if (!canvas.scene) return;
     
-    const tokens = canvas.scene.tokens.contents;
-    for (const tokenDoc of tokens) {
+    // Rebuild occupancy from scratch: tokens may have moved while the scene was not viewed
+    const { cells, firstInCell, footprints } = this.sceneState;
+    cells.clear();
+    firstInCell.clear();
+    footprints.clear();
+    
+    // Scenes switched off in Scene Config are left alone
+    if (!this.isSceneEnabled()) return;
+    
+    // Add tokens in arrival order so firstInCell matches the persisted order
+    const tokenIds = this.sortByArrival(canvas.scene.tokens.contents.map(tokenDoc => tokenDoc.id));
+    for (const tokenId of tokenIds) {
+      const tokenDoc = canvas.scene.tokens.get(tokenId);
+      
       // Skip tokens that should be ignored
       if (this.shouldIgnoreToken(tokenDoc)) continue;
       
       // Store original scale for future restoration
       this.storeOriginalScale(tokenDoc);
       
-      const key = this.keyFromDoc(tokenDoc);
-      this.addToCell(key, tokenDoc.id);
+      if (this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED)) {
+        this.sceneState.arrangedTokens.add(tokenDoc.id);
+      }
+      
+      this.addToCells(this.keysFromDoc(tokenDoc), tokenDoc.id);
       // Bootstrap NEVER moves, centers, or changes scale!
     }
   }
@@ -421,8 +1281,11 @@ export class GrappleUtils {
     this.state.hooks.preUpdate = Hooks.on('preUpdateToken', (tokenDoc, changes, options) => 
       this.handlePreUpdateToken(tokenDoc, changes, options)
     );
-    this.state.hooks.update = Hooks.on('updateToken', async (tokenDoc) => 
-      await this.handleUpdateToken(tokenDoc)
+    this.state.hooks.preCreate = Hooks.on('preCreateToken', (tokenDoc) => 
+      this.handlePreCreateToken(tokenDoc)
+    );
+    this.state.hooks.update = Hooks.on('updateToken', async (tokenDoc, changes, options) => 
+      await this.handleUpdateToken(tokenDoc, changes, options)
     );
     this.state.hooks.create = Hooks.on('createToken', async (tokenDoc) => 
       await this.handleCreateToken(tokenDoc)
@@ -430,330 +1293,1756 @@ export class GrappleUtils {
     this.state.hooks.delete = Hooks.on('deleteToken', async (tokenDoc) => 
       await this.handleDeleteToken(tokenDoc)
     );
+    this.state.hooks.renderTokenHUD = Hooks.on('renderTokenHUD', (hud, html) => {
+      GrappleHud.onRenderTokenHUD(hud, html);
+    });
+    this.state.hooks.canvasReady = Hooks.on('canvasReady', () => 
+      this.bootstrap()
+    );
+    this.state.hooks.deleteScene = Hooks.on('deleteScene', (scene) => 
+      this.state.scenes.delete(scene.id)
+    );
+    this.state.hooks.updateScene = Hooks.on('updateScene', (scene, changes) => 
+      this.handleUpdateScene(scene, changes)
+    );
+    this.state.hooks.combatStart = Hooks.on('combatStart', async (combat) => 
+      await this.handleCombatStart(combat)
+    );
+    this.state.hooks.deleteCombat = Hooks.on('deleteCombat', async (combat) => 
+      await this.handleDeleteCombat(combat)
+    );
+    this.state.hooks.createActiveEffect = Hooks.on('createActiveEffect', async (effect) => 
+      await this.handleEffectChange(effect)
+    );
+    this.state.hooks.updateActiveEffect = Hooks.on('updateActiveEffect', async (effect, changes) => {
+      if ('disabled' in changes || 'statuses' in changes) await this.handleEffectChange(effect);
+    });
+    this.state.hooks.deleteActiveEffect = Hooks.on('deleteActiveEffect', async (effect) => 
+      await this.handleEffectChange(effect)
+    );
+    this.state.hooks.updateCombatant = Hooks.on('updateCombatant', async (combatant, changes) => {
+      if ('defeated' in changes && combatant.token) await this.handleStatusChange(combatant.token);
+    });
   }
 
-  // ========== Cell Membership Management ==========
+  /**
+   * Rebuild occupancy when the viewed scene is switched on or off in Scene Config
+   * 
+   * @static
+   * @param {Scene} scene - Updated scene
+   * @param {Object} changes - Changes applied to the scene
+   * @listens Hooks#updateScene
+   */
+  static handleUpdateScene(scene, changes) {
+    if (scene.id !== canvas.scene?.id) return;
+    const flags = changes.flags?.[this.MODULE_ID];
+    if (flags && this.SCENE_FLAGS.DISABLED in flags) this.bootstrap();
+  }
+
+  // ========== Combat Integration ==========
 
   /**
-   * Add a token to a cell's occupancy set
-   * Creates new cell if it doesn't exist and tracks first occupant
+   * Check whether a combat is running on a scene
+   * Combats not linked to any scene count for every scene
    * 
    * @static
-   * @param {string} key - Grid cell key
-   * @param {string} tokenId - Token ID to add
+   * @param {Scene} [scene=canvas.scene] - Scene to check
+   * @returns {boolean} True if a started combat belongs to the scene
    */
-  static addToCell(key, tokenId) {
-    // Get the token document to check if it should be ignored
-    const tokenDoc = canvas.scene.tokens.get(tokenId);
-    if (tokenDoc && this.shouldIgnoreToken(tokenDoc)) return;
-    
-    let tokenSet = this.state.cells.get(key);
-    if (!tokenSet) {
-      tokenSet = new Set();
-      this.state.cells.set(key, tokenSet);
-      this.state.firstInCell.set(key, tokenId);
-    }
-    tokenSet.add(tokenId);
+  static hasActiveCombat(scene = canvas.scene) {
+    return game.combats.some(combat => combat.started && (!combat.scene || combat.scene.id === scene?.id));
   }
 
   /**
-   * Remove a token from a cell's occupancy set
-   * Cleans up empty cells and reassigns first-in-cell if necessary
+   * Check whether tokens are arranged automatically right now
+   * With "Arrange Only in Combat" on, arrangement waits for a combat on the viewed scene;
+   * cell occupancy is still tracked so the combat starts with the right clusters.
    * 
    * @static
-   * @param {string} key - Grid cell key
-   * @param {string} tokenId - Token ID to remove
+   * @returns {boolean} True if hook handlers may arrange tokens
    */
-  static removeFromCell(key, tokenId) {
-    const tokenSet = this.state.cells.get(key);
-    if (!tokenSet) return;
+  static isAutoArrangeActive() {
+    if (!game.settings.get(this.MODULE_ID, 'arrangeOnlyInCombat')) return true;
+    return this.hasActiveCombat();
+  }
 
-    tokenSet.delete(tokenId);
-    this.state.arrangedTokens.delete(tokenId);
+  /**
+   * Arrange every shared cell of the viewed scene when a combat starts on it
+   * Only needed with "Arrange Only in Combat", since the hexes filled up unarranged
+   * 
+   * @static
+   * @async
+   * @param {Combat} combat - The combat that started
+   * @listens Hooks#combatStart
+   */
+  static async handleCombatStart(combat) {
+    if (!this.isExecutor() || !game.settings.get(this.MODULE_ID, 'arrangeOnlyInCombat')) return;
+    if (!this.isSceneEnabled() || (combat.scene && combat.scene.id !== canvas.scene?.id)) return;
 
-    if (tokenSet.size === 0) {
-      // Cell is now empty
-      this.state.cells.delete(key);
-      this.state.firstInCell.delete(key);
-    } else if (this.state.firstInCell.get(key) === tokenId) {
-      // First token left, assign new first from visible tokens only
-      const visibleTokens = [...tokenSet].filter(id => {
-        const tokenDoc = canvas.scene.tokens.get(id);
-        return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
-      });
-      if (visibleTokens.length > 0) {
-        this.state.firstInCell.set(key, visibleTokens[0]);
+    await this.batchUpdates(async () => {
+      for (const key of [...this.sceneState.cells.keys()]) {
+        if (this.getVisibleOccupants(key).length > 1) await this.arrangeCell(key);
       }
-    }
+    });
   }
 
-  // ========== Core Positioning Logic ==========
+  /**
+   * Restore the tokens of a finished combat's scene
+   * Ending a combat from the tracker deletes it, so this covers both
+   * 
+   * @static
+   * @async
+   * @param {Combat} combat - The deleted combat
+   * @listens Hooks#deleteCombat
+   */
+  static async handleDeleteCombat(combat) {
+    const scene = combat.scene ?? canvas.scene;
+    if (!this.isExecutor(scene) || !game.settings.get(this.MODULE_ID, 'restoreOnCombatEnd')) return;
+    await this.restoreScene(scene);
+  }
 
   /**
-   * Position a newcomer token in an occupied hex
-   * Handles both first entry (center position) and subsequent entries (calculated position)
+   * Re-evaluate the tokens of an actor whose defeated, unconscious or prone status changed
    * 
    * @static
    * @async
-   * @param {string} key - Grid cell key
-   * @param {string} newcomerTokenId - ID of the token entering the cell
-   * @param {Object} [movement] - Movement data with origin and destination info
-   * @param {Object} [movement.oldCenter] - Center of origin hex
-   * @param {Object} [movement.newCenter] - Center of destination hex
+   * @param {ActiveEffect} effect - The effect that was added, toggled or removed
+   * @listens Hooks#createActiveEffect
+   * @listens Hooks#updateActiveEffect
+   * @listens Hooks#deleteActiveEffect
    */
-  static async positionNewcomer(key, newcomerTokenId, movement) {
-    const tokenSet = this.state.cells.get(key);
-    if (!tokenSet || tokenSet.size === 0) return;
+  static async handleEffectChange(effect) {
+    // Effects on items do not change the actor's statuses
+    if (!(effect.parent instanceof Actor) || !GrappleStatus.affects(effect)) return;
+    for (const tokenDoc of effect.parent.getActiveTokens(false, true)) {
+      await this.handleStatusChange(tokenDoc);
+    }
+  }
 
-    // Count only visible tokens in the cell
-    const visibleTokensInCell = [...tokenSet].filter(id => {
-      const tokenDoc = canvas.scene.tokens.get(id);
-      return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
-    });
-    
-    const newcomerToken = canvas.tokens.get(newcomerTokenId);
-    if (!newcomerToken) return;
-    
-    const tokenDoc = newcomerToken.document;
-    const centerNew = this.centerFromKey(key);
-    const countInCell = visibleTokensInCell.length; // Only count visible tokens
+  /**
+   * Re-evaluate a token's hex after its status changed
+   * A token that starts to be ignored or to lie underneath leaves its cells like a hidden
+   * token; one that gets up again enters its hex like a newcomer. Otherwise occupancy is
+   * unchanged and the hex keeps its layout; only its layers are redone, so prone tokens
+   * move below the standing ones.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - Token whose status changed
+   * @listens Hooks#updateCombatant
+   */
+  static async handleStatusChange(tokenDoc) {
+    if (!game.settings.get(this.MODULE_ID, 'moduleEnabled') || !GrappleStatus.isActive()) return;
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled()) return;
 
-    if (countInCell === 1) {
-      // First token in hex → center in hex with solo scale
-      const scale = this.getSoloScale(tokenDoc);
-      const { w, h } = this.getPixelSize(tokenDoc, scale);
-      
-      await this.updateTokenSafe(tokenDoc, {
-        x: Math.round(centerNew.x - w / 2),
-        y: Math.round(centerNew.y - h / 2),
-        scale: scale,
-        'texture.scaleX': scale,
-        'texture.scaleY': scale
-      });
-      return;
+    const wasTracked = this.isTokenManaged(tokenDoc.id);
+    const ignored = this.shouldIgnoreToken(tokenDoc);
+    let keys;
+    if (ignored && wasTracked) {
+      keys = this.removeFromCells(tokenDoc.id);
+    } else if (!ignored && !wasTracked) {
+      this.storeOriginalScale(tokenDoc);
+      keys = this.keysFromDoc(tokenDoc);
+      this.addToCells(keys, tokenDoc.id);
+    } else {
+      keys = wasTracked ? this.getTokenKeys(tokenDoc.id) : this.keysFromDoc(tokenDoc);
     }
+    if (!this.isExecutor()) return;
+    const arrange = this.isAutoArrangeActive();
 
-    // Multiple tokens in hex:
-    // 1) First token stays in place but gets pair scale
-    const firstTokenId = this.state.firstInCell.get(key);
-    if (firstTokenId && firstTokenId !== newcomerTokenId) {
-      const firstTokenDoc = canvas.tokens.get(firstTokenId)?.document;
-      if (firstTokenDoc && !this.shouldIgnoreToken(firstTokenDoc)) {
-        await this.setScaleOnly(firstTokenDoc, this.getPairScale());
+    await this.batchUpdates(async () => {
+      // A token that drops out of its cells no longer holds or is held by anyone there
+      if (ignored && wasTracked) await GrappleLinks.pruneLinks(tokenDoc);
+      if (!arrange) return;
+
+      if (ignored && wasTracked && this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED)) {
+        await this.setScaleOnly(tokenDoc, this.getSoloScale(tokenDoc));
+        await this.restoreFacing(tokenDoc);
+      }
+      if (!ignored && !wasTracked) {
+        await this.positionNewcomer(keys[0], tokenDoc.id);
+        return;
+      }
+      for (const key of keys) {
+        if (ignored && wasTracked) {
+          await this.settleCell(key, [tokenDoc.id]);
+        } else {
+          await this.layerByStatus(key);
+        }
       }
+    });
+  }
+
+  /**
+   * Return every arranged token of a scene to its original scale and hex center
+   * Tokens stay in their cells; the next move into a shared hex arranges them again.
+   * Tokens on a scene that is not viewed only get their scale back, since the grid
+   * is not available to find their hex center.
+   * 
+   * @static
+   * @async
+   * @param {Scene} scene - Scene to restore
+   */
+  static async restoreScene(scene) {
+    if (!scene || !this.isSceneEnabled(scene)) return;
+    const viewed = scene.id === canvas.scene?.id;
+
+    await this.batchUpdates(async () => {
+      for (const tokenDoc of scene.tokens) {
+        if (!this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED) || this.isAnchored(tokenDoc)) continue;
+
+        if (viewed) {
+          const [key] = this.getTokenKeys(tokenDoc.id);
+          await this.centerInCell(tokenDoc, key ?? this.keyFromDoc(tokenDoc));
+        } else {
+          await this.setScaleOnly(tokenDoc, this.getSoloScale(tokenDoc));
+          await this.restoreFacing(tokenDoc);
+        }
+      }
+    });
+
+    this.getSceneState(scene.id).entryAngles.clear();
+  }
+
+  // ========== Cell Membership Management ==========
+
+  /**
+   * Add a token to a cell's occupancy set
+   * Creates new cell if it doesn't exist and tracks first occupant
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @param {string} tokenId - Token ID to add
+   */
+  static addToCell(key, tokenId) {
+    // Get the token document to check if it should be ignored
+    const tokenDoc = canvas.scene.tokens.get(tokenId);
+    if (tokenDoc && this.shouldIgnoreToken(tokenDoc)) return;
+    
+    let tokenSet = this.sceneState.cells.get(key);
+    if (!tokenSet) {
+      tokenSet = new Set();
+      this.sceneState.cells.set(key, tokenSet);
+      this.sceneState.firstInCell.set(key, tokenId);
+    }
+    tokenSet.add(tokenId);
+  }
+
+  /**
+   * Add a token to every cell of its footprint
+   * 
+   * @static
+   * @param {string[]} keys - Cell keys covered by the token (center cell first)
+   * @param {string} tokenId - Token ID to add
+   */
+  static addToCells(keys, tokenId) {
+    for (const key of keys) {
+      this.addToCell(key, tokenId);
     }
+    if (this.isTokenManaged(tokenId)) this.sceneState.footprints.set(tokenId, [...keys]);
+  }
+
+  /**
+   * Make the earliest arrival the first occupant of every cell a token is tracked in
+   * 
+   * @static
+   * @param {string} tokenId - Token ID whose arrival time changed
+   */
+  static refreshFirstInCell(tokenId) {
+    for (const key of this.getTokenKeys(tokenId)) {
+      const [firstId] = this.sortByArrival([...this.sceneState.cells.get(key) ?? []]);
+      if (firstId) this.sceneState.firstInCell.set(key, firstId);
+    }
+  }
+
+  /**
+   * Remove a token from every cell it is tracked in
+   * 
+   * @static
+   * @param {string} tokenId - Token ID to remove
+   * @returns {string[]} The cell keys the token was removed from
+   */
+  static removeFromCells(tokenId) {
+    const keys = this.getTokenKeys(tokenId);
+    for (const key of keys) {
+      this.removeFromCell(key, tokenId);
+    }
+    this.sceneState.footprints.delete(tokenId);
+    return keys;
+  }
+
+  /**
+   * Remove a token from a cell's occupancy set
+   * Cleans up empty cells and reassigns first-in-cell if necessary
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @param {string} tokenId - Token ID to remove
+   */
+  static removeFromCell(key, tokenId) {
+    const tokenSet = this.sceneState.cells.get(key);
+    if (!tokenSet) return;
+
+    tokenSet.delete(tokenId);
+    this.sceneState.arrangedTokens.delete(tokenId);
+    this.sceneState.entryAngles.delete(tokenId);
+
+    if (tokenSet.size === 0) {
+      // Cell is now empty
+      this.sceneState.cells.delete(key);
+      this.sceneState.firstInCell.delete(key);
+    } else if (this.sceneState.firstInCell.get(key) === tokenId) {
+      // First token left, assign new first from visible tokens only (earliest arrival wins)
+      const visibleTokens = this.sortByArrival(tokenSet).filter(id => {
+        const tokenDoc = canvas.scene.tokens.get(id);
+        return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
+      });
+      if (visibleTokens.length > 0) {
+        this.sceneState.firstInCell.set(key, visibleTokens[0]);
+      }
+    }
+  }
+
+  // ========== Core Positioning Logic ==========
+
+  /**
+   * Position a newcomer token in an occupied hex
+   * Handles both first entry (center position) and subsequent entries (calculated position)
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   * @param {string} newcomerTokenId - ID of the token entering the cell
+   * @param {Object} [movement] - Movement data with origin and destination info
+   * @param {Object} [movement.oldCenter] - Center of origin hex
+   * @param {Object} [movement.newCenter] - Center of destination hex
+   */
+  static async positionNewcomer(key, newcomerTokenId, movement) {
+    const tokenSet = this.sceneState.cells.get(key);
+    if (!tokenSet || tokenSet.size === 0) return;
+    await this.layerByStatus(key);
+
+    // Count only visible tokens in the cell
+    const visibleTokensInCell = [...tokenSet].filter(id => {
+      const tokenDoc = canvas.scene.tokens.get(id);
+      return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
+    });
+    
+    const newcomerToken = canvas.tokens.get(newcomerTokenId);
+    if (!newcomerToken) return;
+    
+    const tokenDoc = newcomerToken.document;
+    const centerNew = this.centerFromKey(key);
+    const countInCell = visibleTokensInCell.length; // Only count visible tokens
+
+    // Large creature or anchor: never shrinks, but re-arranges whoever it now covers
+    if (this.isAnchored(tokenDoc)) {
+      // A one-cell anchor stands on the hex center; large creatures stay as placed
+      if (!this.isLargeToken(tokenDoc)) await this.centerInCell(tokenDoc, key);
+      for (const footprintKey of this.getTokenKeys(newcomerTokenId)) {
+        if (this.getVisibleOccupants(footprintKey).length > 1) {
+          await this.arrangeCell(footprintKey);
+        }
+      }
+      return;
+    }
+
+    // A token that only changed elevation comes from no side at all
+    const cameFromSide = !!(movement?.oldCenter && movement?.newCenter)
+      && (movement.oldCenter.x !== movement.newCenter.x || movement.oldCenter.y !== movement.newCenter.y);
+
+    // Remember which side the newcomer came from for the layout engine
+    if (cameFromSide) {
+      this.sceneState.entryAngles.set(newcomerTokenId, Math.atan2(
+        movement.oldCenter.y - movement.newCenter.y,
+        movement.oldCenter.x - movement.newCenter.x
+      ));
+    }
+
+    if (countInCell === 1) {
+      // First token in hex → center in hex with solo scale
+      await this.centerInCell(tokenDoc, key);
+      return;
+    }
+
+    // Crowded hex, non-classic layout or a large creature's footprint: re-flow every occupant
+    if (this.usesLayoutEngine(countInCell) || this.getAnchorOccupant(key)) {
+      await this.arrangeCell(key);
+      return;
+    }
+
+    if (!this.allowArrange(key, visibleTokensInCell)) return;
+
+    // Linked pair: the grappler goes right against its target
+    const link = GrappleLinks.findLink(...visibleTokensInCell);
+    if (link) {
+      await this.positionAgainstTarget(key, link.grapplerId, link.targetId);
+      this.queueHook(this.HOOKS.ARRANGED, key, visibleTokensInCell);
+      return;
+    }
+
+    // Multiple tokens in hex:
+    // 1) Tokens already there stay in place but get their pair scale
+    await this.rescaleOccupants(key, newcomerTokenId);
+
+    // A preferred side from the Token Config stands in for the side the newcomer came from
+    const preferredAngle = this.getPreferredAngle(tokenDoc);
+    const oldCenter = typeof preferredAngle === 'number'
+      ? GrappleLayout.pointAt(centerNew, preferredAngle, canvas.grid.size)
+      : cameFromSide ? movement.oldCenter : undefined;
 
     // 2) Newcomer: calculate position using midpoint + offsets + radial push
-    if (movement?.oldCenter && movement?.newCenter) {
-      const basePosition = this.midpoint(movement.oldCenter, movement.newCenter);
+    if (oldCenter) {
+      const basePosition = this.midpoint(oldCenter, centerNew);
+
+      // Grid-based offsets (negative = left/up)
+      const offset = this.getNewcomerOffset();
+      const gridOffsetX = canvas.grid.size * offset.x;
+      const gridOffsetY = canvas.grid.size * offset.y;
+
+      // Radial direction (destination center -> midpoint), normalized
+      const directionX = basePosition.x - centerNew.x;
+      const directionY = basePosition.y - centerNew.y;
+      const directionLength = Math.hypot(directionX, directionY) || 1;
+
+      // Push distance in pixels
+      const pushDistance = canvas.grid.size * this.getCenterDistance();
+
+      // Final target center; a newcomer shrunk by its Size Modifier stays closer to the center
+      const sizeFactor = this.getSizeFactor(tokenDoc, key);
+      const targetCenter = {
+        x: centerNew.x + (basePosition.x + (directionX / directionLength) * pushDistance + gridOffsetX - centerNew.x) * sizeFactor,
+        y: centerNew.y + (basePosition.y + (directionY / directionLength) * pushDistance + gridOffsetY - centerNew.y) * sizeFactor
+      };
+
+      const scale = this.getPairScale(tokenDoc, key);
+      const { w, h } = this.getPixelSize(tokenDoc, scale);
+      
+      const updateData = {
+        x: Math.round(targetCenter.x - w / 2),
+        y: Math.round(targetCenter.y - h / 2)
+      };
+
+      // Only update scale if it's significantly different
+      if (Math.abs(this.getApproximateScale(tokenDoc) - scale) > 0.01) {
+        updateData.scale = scale;
+        updateData['texture.scaleX'] = scale;
+        updateData['texture.scaleY'] = scale;
+      }
+
+      await this.updateTokenSafe(tokenDoc, updateData);
+    } else {
+      // Token created (or dropped in vertically) in an occupied hex without movement origin: only apply scale
+      await this.rescaleOccupants(key);
+    }
+    this.queueHook(this.HOOKS.ARRANGED, key, visibleTokensInCell);
+  }
+
+  /**
+   * Check whether a token is turned to face its opponent
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {boolean} True if facing is on and the token's rotation is free
+   */
+  static usesFacing(tokenDoc) {
+    if (!game.settings.get(this.MODULE_ID, 'faceOpponents')) return false;
+    return !tokenDoc.lockRotation && !this.getTokenFlag(tokenDoc, this.FLAGS.KEEP_ROTATION);
+  }
+
+  /**
+   * Get a token's center, including a position already queued in the running batch
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The token document
+   * @returns {{x: number, y: number}} Center in pixels
+   */
+  static getPendingCenter(tokenDoc) {
+    const queued = this.state.batch?.updates.get(tokenDoc.id)?.data ?? {};
+    const { w, h } = this.getPixelSize(tokenDoc, 1);
+    return { x: (queued.x ?? tokenDoc.x) + w / 2, y: (queued.y ?? tokenDoc.y) + h / 2 };
+  }
+
+  /**
+   * Turn a token toward another one, snapped to the grid's facings
+   * The rotation it had before is kept in its flags until {@link GrappleUtils.restoreFacing}
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - Token to turn
+   * @param {TokenDocument} otherDoc - Token to face
+   */
+  static async turnToFace(tokenDoc, otherDoc) {
+    if (!this.usesFacing(tokenDoc)) return;
+
+    const from = this.getPendingCenter(tokenDoc);
+    const to = this.getPendingCenter(otherDoc);
+    if (Math.hypot(to.x - from.x, to.y - from.y) < 1) return;
+
+    // Hexes have six facings toward their neighbours, squares eight
+    let step = 0;
+    let offset = 0;
+    if (canvas.grid.isHexagonal) {
+      step = 60;
+      offset = canvas.grid.columns ? 30 : 0;
+    } else if (!canvas.grid.isGridless) {
+      step = 45;
+    }
+
+    const rotation = GrappleLayout.facingRotation(from, to, step, offset);
+    if (Math.abs(rotation - tokenDoc.rotation) < 0.5) return;
+
+    const queued = this.state.batch?.updates.get(tokenDoc.id);
+    const updateData = { rotation };
+    if (this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_ROTATION) === undefined) {
+      updateData[`flags.${this.MODULE_ID}.${this.FLAGS.ORIGINAL_ROTATION}`] = tokenDoc.rotation;
+    }
+    await this.updateTokenSafe(tokenDoc, updateData, queued?.arranged ?? true, { relocated: queued?.relocated });
+  }
+
+  /**
+   * Turn a token that just entered a shared cell and its opponent toward each other
+   * The opponent is the target the newcomer holds, or else the cell's first occupant.
+   * In a crowd only the newcomer turns.
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   * @param {string} newcomerId - ID of the token that entered the cell
+   */
+  static async faceOpponent(key, newcomerId) {
+    const occupantIds = this.getVisibleOccupants(key);
+    if (occupantIds.length < 2 || !occupantIds.includes(newcomerId)) return;
+
+    // The sides layout turns every team toward the others when it arranges the cell
+    if (this.getLayoutStyle() === GrappleLayout.STYLES.SIDES && !this.getAnchorOccupant(key)) return;
+
+    const others = occupantIds.filter(id => id !== newcomerId);
+    const firstId = this.sceneState.firstInCell.get(key);
+    const opponentId = GrappleLinks.getTargetAmong(newcomerId, others)
+      ?? (others.includes(firstId) ? firstId : others[0]);
+
+    const newcomerDoc = canvas.scene.tokens.get(newcomerId);
+    const opponentDoc = canvas.scene.tokens.get(opponentId);
+    if (!newcomerDoc || !opponentDoc) return;
+
+    await this.turnToFace(newcomerDoc, opponentDoc);
+    if (occupantIds.length === 2) await this.turnToFace(opponentDoc, newcomerDoc);
+  }
+
+  /**
+   * Give a token back the rotation it had before it was turned to face an opponent
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The token document
+   */
+  static async restoreFacing(tokenDoc) {
+    const rotation = this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_ROTATION);
+    if (typeof rotation !== 'number') return;
+
+    const queued = this.state.batch?.updates.get(tokenDoc.id);
+    await this.updateTokenSafe(tokenDoc, {
+      rotation,
+      [`flags.${this.MODULE_ID}.-=${this.FLAGS.ORIGINAL_ROTATION}`]: null
+    }, queued?.arranged ?? false, { relocated: queued?.relocated });
+  }
+
+  /**
+   * Center a token on its cell at its solo scale
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - Token to center
+   * @param {string} key - Grid cell key
+   */
+  static async centerInCell(tokenDoc, key) {
+    const center = this.centerFromKey(key);
+    const scale = this.getSoloScale(tokenDoc);
+    const { w, h } = this.getPixelSize(tokenDoc, scale);
+    
+    await this.updateTokenSafe(tokenDoc, {
+      x: Math.round(center.x - w / 2),
+      y: Math.round(center.y - h / 2),
+      scale: scale,
+      'texture.scaleX': scale,
+      'texture.scaleY': scale
+    }, false);
+    await this.restoreFacing(tokenDoc);
+  }
+
+  /**
+   * Re-flow every visible occupant of a cell using the configured layout style
+   * Each occupant is scaled according to the number of tokens in the cell and
+   * placed on a slot biased toward the side it entered from.
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   */
+  static async arrangeCell(key) {
+    const occupantIds = this.getVisibleOccupants(key);
+    if (occupantIds.length < 2) return;
+    if (!this.allowArrange(key, occupantIds)) return;
+
+    const largeDoc = this.getAnchorOccupant(key);
+    if (largeDoc) {
+      await this.arrangeAgainstEdge(key, largeDoc);
+      this.queueHook(this.HOOKS.ARRANGED, key, occupantIds);
+      return;
+    }
+
+    // Classic pairs: a linked grappler goes right against its target
+    if (occupantIds.length === 2 && this.getLayoutStyle() === GrappleLayout.STYLES.CLASSIC) {
+      const link = GrappleLinks.findLink(...occupantIds);
+      if (link) {
+        await this.positionAgainstTarget(key, link.grapplerId, link.targetId);
+        this.queueHook(this.HOOKS.ARRANGED, key, occupantIds);
+        return;
+      }
+    }
+
+    const center = this.centerFromKey(key);
+    const scales = new Map(occupantIds.map(id => [
+      id,
+      GrappleLayout.scaleForCount(this.getPairScale(canvas.scene.tokens.get(id), key), occupantIds.length)
+    ]));
+    const style = this.getLayoutStyle() === GrappleLayout.STYLES.CLASSIC
+      ? GrappleLayout.STYLES.ARC
+      : this.getLayoutStyle();
+
+    const angles = new Map(occupantIds.map(id => [id, this.getEntryAngle(canvas.scene.tokens.get(id), center)]));
+    const teams = style === GrappleLayout.STYLES.SIDES
+      ? new Map(occupantIds.map(id => [id, this.getTeam(canvas.scene.tokens.get(id))]))
+      : null;
+
+    // Grapplers take their target's side, so the layout puts them next to each other
+    // (in the sides layout their team decides the side instead)
+    for (const id of teams ? [] : occupantIds) {
+      const targetId = GrappleLinks.getTargetAmong(id, occupantIds);
+      if (targetId && typeof angles.get(targetId) === 'number') angles.set(id, angles.get(targetId));
+    }
+
+    const occupants = occupantIds.map(id => ({ id, angle: angles.get(id), team: teams?.get(id) }));
+
+    const slots = GrappleLayout.computeSlots(style, occupants, center, {
+      radius: Math.max(0, canvas.grid.size * (this.LAYOUT_RADIUS_GRID_FRAC + this.getCenterDistance())),
+      // Slots are spaced for the biggest occupant, so none of them overlap
+      spacing: canvas.grid.size * Math.max(...scales.values())
+    });
+
+    for (const [tokenId, slot] of slots) {
+      const tokenDoc = canvas.scene.tokens.get(tokenId);
+      if (!tokenDoc) continue;
+
+      // On rings and arcs, a token shrunk by its Size Modifier sits closer to the center
+      if (style !== GrappleLayout.STYLES.GRID) {
+        const sizeFactor = this.getSizeFactor(tokenDoc, key);
+        slot.x = center.x + (slot.x - center.x) * sizeFactor;
+        slot.y = center.y + (slot.y - center.y) * sizeFactor;
+      }
+
+      // Texture scale shrinks the art around the footprint center, so place the full footprint
+      const { w, h } = this.getPixelSize(tokenDoc, 1);
+      const tokenScale = scales.get(tokenId);
+      await this.updateTokenSafe(tokenDoc, {
+        x: Math.round(slot.x - w / 2),
+        y: Math.round(slot.y - h / 2),
+        scale: tokenScale,
+        'texture.scaleX': tokenScale,
+        'texture.scaleY': tokenScale
+      });
+    }
+
+    // Every team turns toward the closest token of another team
+    if (teams) {
+      for (const tokenId of occupantIds) {
+        const rivalId = this.getClosestRival(tokenId, occupantIds, teams);
+        if (rivalId) await this.turnToFace(canvas.scene.tokens.get(tokenId), canvas.scene.tokens.get(rivalId));
+      }
+    }
+    this.queueHook(this.HOOKS.ARRANGED, key, occupantIds);
+  }
+
+  /**
+   * Find the closest occupant of another team, by the positions about to be written
+   * 
+   * @static
+   * @param {string} tokenId - Token looking for an opponent
+   * @param {string[]} occupantIds - Occupants of its cell
+   * @param {Map<string, string>} teams - Team of each occupant
+   * @returns {string|null} Token ID of the closest rival, or null if the cell holds only allies
+   */
+  static getClosestRival(tokenId, occupantIds, teams) {
+    const from = this.getPendingCenter(canvas.scene.tokens.get(tokenId));
+    let closestId = null;
+    let closestDistance = Infinity;
+    for (const otherId of occupantIds) {
+      if (teams.get(otherId) === teams.get(tokenId)) continue;
+      const to = this.getPendingCenter(canvas.scene.tokens.get(otherId));
+      const distance = Math.hypot(to.x - from.x, to.y - from.y);
+      if (distance < closestDistance) {
+        closestId = otherId;
+        closestDistance = distance;
+      }
+    }
+    return closestId;
+  }
+
+  /**
+   * Pull a point back toward a cell center so a token placed there stays inside the cell
+   * 
+   * @static
+   * @param {Object} point - Desired token center in pixels
+   * @param {Object} center - Cell center in pixels
+   * @returns {{x: number, y: number}} The point, clamped to the layout radius around the center
+   */
+  static clampToCell(point, center) {
+    const maxOffset = canvas.grid.size * this.LAYOUT_RADIUS_GRID_FRAC;
+    if (Math.hypot(point.x - center.x, point.y - center.y) <= maxOffset) return point;
+    return GrappleLayout.pointAt(center, Math.atan2(point.y - center.y, point.x - center.x), maxOffset);
+  }
+
+  /**
+   * Place a grappler right against its target inside a shared cell
+   * The target stays where it is with pair scale; the grappler touches it on the
+   * side it came from.
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   * @param {string} grapplerId - ID of the grappling token
+   * @param {string} targetId - ID of the grappled token
+   */
+  static async positionAgainstTarget(key, grapplerId, targetId) {
+    const grapplerDoc = canvas.scene.tokens.get(grapplerId);
+    const targetDoc = canvas.scene.tokens.get(targetId);
+    if (!grapplerDoc || !targetDoc) return;
+
+    const targetScale = this.getPairScale(targetDoc, key);
+    const scale = this.getPairScale(grapplerDoc, key);
+    await this.setScaleOnly(targetDoc, targetScale);
+
+    const center = this.centerFromKey(key);
+    const targetCenter = this.getPendingCenter(targetDoc);
+    const side = this.getEntryAngle(grapplerDoc, center) ?? GrappleLayout.DEFAULT_ANGLE;
+
+    // Two scaled tokens touch when their centers are half of each scaled token apart
+    const touching = (canvas.grid.size * (targetScale + scale)) / 2;
+    const spot = this.clampToCell(GrappleLayout.pointAt(targetCenter, side, touching), center);
+    const { w, h } = this.getPixelSize(grapplerDoc, 1);
+    await this.updateTokenSafe(grapplerDoc, {
+      x: Math.round(spot.x - w / 2),
+      y: Math.round(spot.y - h / 2),
+      scale: scale,
+      'texture.scaleX': scale,
+      'texture.scaleY': scale
+    });
+  }
+
+  /**
+   * Arrange the small occupants of a cell against the edge of a large creature
+   * The creature keeps its size and position; the others are scaled down and pushed
+   * toward the outer edge of its footprint, staying inside the cell.
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key inside the creature's footprint
+   * @param {TokenDocument} largeDoc - The large creature occupying the cell
+   */
+  static async arrangeAgainstEdge(key, largeDoc) {
+    const smallIds = this.getVisibleOccupants(key).filter(id => {
+      const tokenDoc = canvas.scene.tokens.get(id);
+      return tokenDoc && !this.isAnchored(tokenDoc);
+    });
+    if (!smallIds.length) return;
+
+    const center = this.centerFromKey(key);
+    const { w: largeW, h: largeH } = this.getPixelSize(largeDoc, 1);
+    const largeCenter = { x: largeDoc.x + largeW / 2, y: largeDoc.y + largeH / 2 };
+
+    // Direction from the creature center out through this cell; for the creature's
+    // central cell use the side the first small token came from
+    let outward = Math.atan2(center.y - largeCenter.y, center.x - largeCenter.x);
+    if (Math.hypot(center.x - largeCenter.x, center.y - largeCenter.y) < canvas.grid.size * 0.05) {
+      const firstDoc = canvas.scene.tokens.get(smallIds[0]);
+      outward = this.getEntryAngle(firstDoc, center) ?? GrappleLayout.DEFAULT_ANGLE;
+    }
+
+    // Edge of the footprint along that direction, clamped to stay inside the cell
+    const edge = this.clampToCell(
+      GrappleLayout.pointAt(largeCenter, outward, Math.max(largeW, largeH) / 2),
+      center
+    );
+
+    const scale = GrappleLayout.scaleForCount(this.getPairScale(), smallIds.length + 1);
+    const slots = smallIds.length === 1
+      ? new Map([[smallIds[0], edge]])
+      : GrappleLayout.computeSlots(GrappleLayout.STYLES.ARC, smallIds.map(id => ({ id, angle: outward })), edge, {
+        radius: (canvas.grid.size * scale) / 2,
+        spacing: canvas.grid.size * scale
+      });
+
+    for (const [tokenId, slot] of slots) {
+      const tokenDoc = canvas.scene.tokens.get(tokenId);
+      if (!tokenDoc) continue;
+
+      const { w, h } = this.getPixelSize(tokenDoc, 1);
+      const tokenScale = GrappleLayout.scaleForCount(this.getPairScale(tokenDoc, key), smallIds.length + 1);
+      await this.updateTokenSafe(tokenDoc, {
+        x: Math.round(slot.x - w / 2),
+        y: Math.round(slot.y - h / 2),
+        scale: tokenScale,
+        'texture.scaleX': tokenScale,
+        'texture.scaleY': tokenScale
+      });
+    }
+  }
+
+  /**
+   * Settle a cell after a token left it
+   * A single remaining occupant goes back to the hex center at its solo scale, like a
+   * token entering an empty hex (a large creature keeps its place); a cell that is
+   * still shared is laid out again
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   * @param {string[]} [departedIds=[]] - Tokens that just left the cell, reported with
+   *   the one left behind when the cell stops being shared
+   */
+  static async settleCell(key, departedIds = []) {
+    const visibleTokensRemaining = this.getVisibleOccupants(key);
+    
+    if (visibleTokensRemaining.length === 1) {
+      const remainingTokenDoc = canvas.tokens.get(visibleTokensRemaining[0])?.document;
+      if (remainingTokenDoc) {
+        // The offset newcomer would otherwise stay half in the neighbouring hex
+        if (this.isLargeToken(remainingTokenDoc)) {
+          await this.setScaleOnly(remainingTokenDoc, this.getSoloScale(remainingTokenDoc));
+          await this.restoreFacing(remainingTokenDoc);
+        } else {
+          await this.centerInCell(remainingTokenDoc, key);
+        }
+        if (departedIds.length) this.queueHook(this.HOOKS.SEPARATED, key, [...visibleTokensRemaining, ...departedIds]);
+      }
+    } else if (visibleTokensRemaining.length > 1) {
+      await this.arrangeCell(key);
+    }
+    await this.layerByStatus(key);
+  }
+
+  /**
+   * Layer a cell by its tokens' statuses
+   * Tokens lying underneath shrink onto the hex center while someone stands there, and
+   * get their solo scale back once nobody does. Prone tokens are drawn below standing
+   * ones, and tokens lying underneath below both.
+   * 
+   * @static
+   * @async
+   * @param {string} key - Grid cell key
+   */
+  static async layerByStatus(key) {
+    if (!GrappleStatus.isActive()) return;
+
+    const standingDocs = this.getVisibleOccupants(key).map(id => canvas.scene.tokens.get(id));
+
+    // Only tokens whose bounds reach the cell can lie in it
+    const center = this.centerFromKey(key);
+    const size = canvas.grid.size;
+    const area = new PIXI.Rectangle(center.x - size, center.y - size, 2 * size, 2 * size);
+    const nearby = canvas.tokens.quadtree?.getObjects(area) ?? canvas.tokens.placeables;
+    const lyingDocs = [...nearby]
+      .map(token => token.document)
+      .filter(tokenDoc => this.isLyingUnderneath(tokenDoc) && this.keysFromDoc(tokenDoc).includes(key));
+
+    for (const tokenDoc of lyingDocs) {
+      // Large creatures keep their size and position, they are only drawn below
+      if (this.isLargeToken(tokenDoc)) continue;
+
+      if (standingDocs.length) {
+        this.storeOriginalScale(tokenDoc);
+        const scale = this.getPairScale(tokenDoc);
+        const { w, h } = this.getPixelSize(tokenDoc, 1);
+        await this.updateTokenSafe(tokenDoc, {
+          x: Math.round(center.x - w / 2),
+          y: Math.round(center.y - h / 2),
+          scale,
+          'texture.scaleX': scale,
+          'texture.scaleY': scale
+        });
+      } else if (this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED)) {
+        await this.centerInCell(tokenDoc, key);
+      }
+    }
+    if (!standingDocs.length) return;
+
+    // Each layer goes below the lowest token of the layer above it
+    const proneDocs = standingDocs.filter(tokenDoc => GrappleStatus.isDrawnBelow(tokenDoc));
+    const uprightDocs = standingDocs.filter(tokenDoc => !proneDocs.includes(tokenDoc));
+    const sortOf = (tokenDoc) => this.state.batch?.updates.get(tokenDoc.id)?.data.sort ?? tokenDoc.sort ?? 0;
+    let floor = Infinity;
+    for (const layer of [uprightDocs, proneDocs, lyingDocs]) {
+      for (const tokenDoc of layer) {
+        if (sortOf(tokenDoc) < floor) continue;
+        const queued = this.state.batch?.updates.get(tokenDoc.id);
+        await this.updateTokenSafe(
+          tokenDoc,
+          { sort: floor - 1 },
+          queued?.arranged ?? !!this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED),
+          { relocated: queued?.relocated }
+        );
+      }
+      floor = Math.min(floor, ...layer.map(sortOf));
+    }
+  }
+
+  /**
+   * Reset tokens to their original scale and clear the module flags
+   * Uses getSoloScale to ensure there's always a valid fallback (the token's current scale)
+   * if the original scale was never stored. This prevents resetting to 1.
+   * Tokens may come from several scenes; each scene gets one update.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument[]} tokenDocs - Tokens to reset
+   */
+  static async resetTokens(tokenDocs) {
+    const byScene = new Map();
+    for (const tokenDoc of tokenDocs) {
+      if (!byScene.has(tokenDoc.parent)) byScene.set(tokenDoc.parent, []);
+      byScene.get(tokenDoc.parent).push(tokenDoc);
+    }
+
+    for (const [scene, sceneTokens] of byScene) {
+      const held = sceneTokens.flatMap(tokenDoc => GrappleLinks.getTargets(tokenDoc));
+      const updates = sceneTokens.map(tokenDoc => {
+        const resetScale = this.getSoloScale(tokenDoc);
+        const rotation = this.getTokenFlag(tokenDoc, this.FLAGS.ORIGINAL_ROTATION);
+        return {
+          _id: tokenDoc.id,
+          scale: resetScale,
+          'texture.scaleX': resetScale,
+          'texture.scaleY': resetScale,
+          ...(typeof rotation === 'number' && { rotation }),
+          // Only runtime state goes; the options set in the Token Config stay
+          ...Object.fromEntries([...this.RUNTIME_FLAGS, GrappleLinks.FLAG].map(flag => [`flags.${this.MODULE_ID}.-=${flag}`, null]))
+        };
+      });
+
+      await scene.updateEmbeddedDocuments('Token', updates);
+
+      // Links went with the runtime flags, so conditions they put on tokens go too
+      for (const tokenId of new Set([...sceneTokens.map(tokenDoc => tokenDoc.id), ...held])) {
+        await GrappleGurps.syncConditions(scene.tokens.get(tokenId));
+      }
+
+      const { originalScales, arrangedTokens } = this.getSceneState(scene.id);
+      for (const tokenDoc of sceneTokens) {
+        originalScales.delete(tokenDoc.id);
+        arrangedTokens.delete(tokenDoc.id);
+      }
+    }
+  }
+
+  /**
+   * Move tokens out of the cells they share into free neighbouring cells
+   * Each token steps out on its own side of the cell at solo scale. When every
+   * occupant of a cell is listed, the first to arrive stays where it is. Large
+   * creatures and anchors are never moved.
+   * 
+   * @static
+   * @async
+   * @param {string[]} tokenIds - IDs of the tokens to separate
+   * @returns {Promise<string[]>} IDs of the tokens that were moved
+   */
+  static async separateTokens(tokenIds) {
+    const moved = [];
+    const settled = new Map();
+
+    await this.batchUpdates(async () => {
+      for (const tokenId of tokenIds) {
+        const tokenDoc = canvas.scene.tokens.get(tokenId);
+        if (!tokenDoc || this.isAnchored(tokenDoc)) continue;
+
+        const [key] = this.getTokenKeys(tokenId);
+        const occupants = key ? this.getVisibleOccupants(key) : [];
+        if (occupants.length < 2 || (occupants[0] === tokenId && occupants.every(id => tokenIds.includes(id)))) continue;
+
+        const center = this.centerFromKey(key);
+        const { w, h } = this.getPixelSize(tokenDoc, 1);
+        const side = Math.atan2(tokenDoc.y + h / 2 - center.y, tokenDoc.x + w / 2 - center.x);
+        const destination = this.findFreeNeighbour(key, side);
+        if (!destination) continue;
+
+        // Move membership by hand: the batch is busy, so the hooks skip it
+        this.removeFromCells(tokenId);
+        this.sceneState.entryAngles.delete(tokenId);
+        const scale = this.getSoloScale(tokenDoc);
+        const x = Math.round(destination.x - w / 2);
+        const y = Math.round(destination.y - h / 2);
+        this.addToCells(this.keysFromXY(x, y, tokenDoc.width ?? 1, tokenDoc.height ?? 1, tokenDoc.elevation ?? 0), tokenId);
+
+        await this.updateTokenSafe(tokenDoc, {
+          x,
+          y,
+          scale: scale,
+          'texture.scaleX': scale,
+          'texture.scaleY': scale,
+          [`flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`]: Date.now()
+        }, false, { relocated: true });
+        await this.restoreFacing(tokenDoc);
+
+        moved.push(tokenId);
+        settled.set(key, [...settled.get(key) ?? [], tokenId]);
+      }
+
+      for (const [key, departedIds] of settled) {
+        await this.settleCell(key, departedIds);
+      }
+
+      for (const tokenId of moved) {
+        await GrappleLinks.pruneLinks(canvas.scene.tokens.get(tokenId));
+      }
+    });
+    return moved;
+  }
+
+  /**
+   * Find the free cell next to a cell that lies closest to a given side
+   * On gridless scenes a point just outside the proximity radius is used instead
+   * 
+   * @static
+   * @param {string} key - Grid cell key
+   * @param {number} side - Preferred direction from the cell center (radians)
+   * @returns {{x: number, y: number}|null} Center of the free cell, or null if every neighbour is taken
+   */
+  static findFreeNeighbour(key, side) {
+    const center = this.centerFromKey(key);
+    const { base, elevation } = this.splitKey(key);
+
+    let candidates;
+    if (canvas.grid.isGridless) {
+      const distance = canvas.grid.size * Math.max(1, 2 * this.getGridlessRadius());
+      candidates = Array.from({ length: 6 }, (_, index) =>
+        GrappleLayout.pointAt(center, side + (index * Math.PI) / 3, distance)
+      );
+    } else {
+      const [col, row] = base.split(',').map(Number);
+      candidates = canvas.grid.getAdjacentOffsets({ i: row, j: col })
+        .map(offset => canvas.grid.getCenterPoint(offset));
+    }
+
+    // Only occupants at the same elevation layer take a neighbouring cell
+    const halfGrid = canvas.grid.size / 2;
+    const free = candidates
+      .filter(point => !this.getVisibleOccupants(this.keyFromXY(point.x - halfGrid, point.y - halfGrid, 1, 1, elevation)).length)
+      .map(point => ({
+        point,
+        distance: Math.abs(GrappleLayout.normalizeAngle(Math.atan2(point.y - center.y, point.x - center.x) - side))
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    return free[0] ? { x: free[0].point.x, y: free[0].point.y } : null;
+  }
+
+  // ========== Manual Controls ==========
+
+  /**
+   * Get the visible tokens sharing a token's cell or standing in a neighbouring cell
+   * On gridless scenes, neighbours are the cells whose centers lie within one step
+   * 
+   * @static
+   * @param {string} tokenId - The token ID
+   * @returns {string[]} IDs of the nearby tokens, without the token itself
+   */
+  static getNearbyOccupants(tokenId) {
+    const nearby = new Set();
+    for (const key of this.getTokenKeys(tokenId)) {
+      const { base, elevation } = this.splitKey(key);
+      let keys;
+      if (canvas.grid.isGridless) {
+        const center = this.centerFromKey(key);
+        const reach = canvas.grid.size * Math.max(1, 2 * this.getGridlessRadius()) * 1.01;
+        keys = [...this.sceneState.cells.keys()].filter(otherKey => {
+          const otherCenter = this.centerFromKey(otherKey);
+          return Math.hypot(otherCenter.x - center.x, otherCenter.y - center.y) <= reach
+            && this.isWithinBand(this.splitKey(otherKey).elevation, elevation);
+        });
+      } else {
+        const [col, row] = base.split(',').map(Number);
+        const neighbours = canvas.grid.getAdjacentOffsets({ i: row, j: col });
+        keys = [key, ...neighbours.map(({ i, j }) => this.layerKey(`${j},${i}`, elevation))];
+      }
+      for (const nearbyKey of keys) {
+        for (const id of this.getVisibleOccupants(nearbyKey)) nearby.add(id);
+      }
+    }
+    nearby.delete(tokenId);
+    return [...nearby];
+  }
+
+  /**
+   * Link a grappler to a target and pair them in one cell
+   * A target in a neighbouring cell is joined there by the grappler, or the target
+   * is pulled in when the grappler is an anchor. The one who moves enters the cell
+   * exactly like a token moved by hand: walls block it, and breaking free or entering
+   * an occupied cell posts a Quick Contest card instead. If the mover wins, the move
+   * is replayed and the link is offered on arrival like any other.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappling token
+   * @param {string} targetId - The grappled token ID
+   * @param {string} [grip] - One of {@link GrappleLinks.GRIPS}
+   * @returns {Promise<boolean>} False if a wall blocks the move
+   */
+  static async pairTokens(grapplerDoc, targetId, grip) {
+    const targetDoc = canvas.scene.tokens.get(targetId);
+    if (!targetDoc) return true;
+
+    const [grapplerKey] = this.getTokenKeys(grapplerDoc.id);
+    const [targetKey] = this.getTokenKeys(targetId);
+    if (!grapplerKey || !targetKey) {
+      await GrappleLinks.link(grapplerDoc, targetId, grip);
+      return true;
+    }
+
+    const moverDoc = this.isAnchored(grapplerDoc) ? targetDoc : grapplerDoc;
+    const [oldKey, key] = moverDoc === grapplerDoc ? [grapplerKey, targetKey] : [targetKey, grapplerKey];
+    const moves = oldKey !== key && !this.isAnchored(moverDoc);
+
+    const moveData = {};
+    if (moves) {
+      const center = this.centerFromKey(key);
+      const { w, h } = this.getPixelSize(moverDoc, 1);
+      moveData.x = Math.round(center.x - w / 2);
+      moveData.y = Math.round(center.y - h / 2);
+      // A flyer grappling someone on the ground comes down to them, and vice versa
+      const { elevation } = this.splitKey(key);
+      if (!this.isWithinBand(moverDoc.elevation, elevation)) moveData.elevation = elevation;
+
+      if (moverDoc.object?.checkCollision(center, { type: 'move', mode: 'any' })) return false;
+
+      const contest = GrappleContest.findContest(
+        moverDoc,
+        this.getTokenKeys(moverDoc.id),
+        this.keysFromXY(moveData.x, moveData.y, moverDoc.width, moverDoc.height, moveData.elevation ?? moverDoc.elevation)
+      );
+      if (contest) {
+        await GrappleContest.request(moverDoc, moveData, contest);
+        return true;
+      }
+    }
+
+    await this.batchUpdates(async () => {
+      await GrappleLinks.link(grapplerDoc, targetId, grip);
 
-      // Grid-based offsets (negative = left/up)
-      const gridOffsetX = canvas.grid.size * this.NEWCOMER_OFFSET_GRID_FRAC_X;
-      const gridOffsetY = canvas.grid.size * this.NEWCOMER_OFFSET_GRID_FRAC_Y;
+      if (moves) {
+        // Move membership by hand: the batch is busy, so the hooks skip it
+        this.removeFromCells(moverDoc.id);
+        this.addToCells([key], moverDoc.id);
+        await this.updateTokenSafe(moverDoc, {
+          ...moveData,
+          [`flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`]: Date.now()
+        }, true, { relocated: true });
+        await this.settleCell(oldKey, [moverDoc.id]);
+        await GrappleLinks.pruneLinks(moverDoc);
+      }
 
-      // Radial direction (destination center -> midpoint), normalized
-      const directionX = basePosition.x - movement.newCenter.x;
-      const directionY = basePosition.y - movement.newCenter.y;
-      const directionLength = Math.hypot(directionX, directionY) || 1;
+      await this.positionNewcomer(key, moverDoc.id, {
+        oldCenter: this.centerFromKey(oldKey),
+        newCenter: this.centerFromKey(key)
+      });
+      await this.faceOpponent(key, moverDoc.id);
+    });
+    return true;
+  }
 
-      // Push distance in pixels
-      const pushDistance = canvas.grid.size * this.getCenterDistance();
+  /**
+   * Make a token the first occupant of its cell
+   * In a classic pair it takes the hex center at pair scale and the other token is
+   * placed again as a newcomer, on the side it stands on now. The other layouts arrange
+   * the cell once with the token first in line. The arrival order is stored, so the
+   * swap survives a reload and other clients follow it.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The token that becomes the anchor of its cell
+   * @returns {Promise<boolean>} False if the token does not share a cell
+   */
+  static async makeAnchor(tokenDoc) {
+    const [key] = this.getTokenKeys(tokenDoc.id);
+    const occupantIds = key ? this.getVisibleOccupants(key) : [];
+    if (occupantIds.length < 2) return false;
 
-      // Final target center
-      const targetCenter = {
-        x: basePosition.x + (directionX / directionLength) * pushDistance + gridOffsetX,
-        y: basePosition.y + (directionY / directionLength) * pushDistance + gridOffsetY
-      };
+    const center = this.centerFromKey(key);
+    const others = occupantIds.filter(id => id !== tokenDoc.id);
+    const sides = new Map(others.map(id => [
+      id,
+      this.getEntryAngle(canvas.scene.tokens.get(id), center) ?? GrappleLayout.DEFAULT_ANGLE
+    ]));
+    const firstArrival = Math.min(Date.now(), ...occupantIds.map(id => this.getArrivalTime(id)));
+    this.sceneState.firstInCell.set(key, tokenDoc.id);
 
-      const scale = this.getPairScale();
-      const { w, h } = this.getPixelSize(tokenDoc, scale);
-      
-      const updateData = {
-        x: Math.round(targetCenter.x - w / 2),
-        y: Math.round(targetCenter.y - h / 2)
-      };
+    await this.batchUpdates(async () => {
+      const scale = this.getPairScale(tokenDoc, key);
+      const { w, h } = this.getPixelSize(tokenDoc, 1);
+      await this.updateTokenSafe(tokenDoc, {
+        x: Math.round(center.x - w / 2),
+        y: Math.round(center.y - h / 2),
+        scale: scale,
+        'texture.scaleX': scale,
+        'texture.scaleY': scale,
+        [`flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`]: firstArrival - 1
+      });
 
-      // Only update scale if it's significantly different
-      if (Math.abs(this.getApproximateScale(tokenDoc) - scale) > 0.01) {
-        updateData.scale = scale;
-        updateData['texture.scaleX'] = scale;
-        updateData['texture.scaleY'] = scale;
+      // The layout engine places everyone in one pass, the new anchor first
+      if (this.usesLayoutEngine(occupantIds.length) || this.getAnchorOccupant(key)) {
+        for (const id of others) this.sceneState.entryAngles.set(id, sides.get(id));
+        await this.arrangeCell(key);
+        return;
       }
 
-      await this.updateTokenSafe(tokenDoc, updateData);
-    } else {
-      // Token created in occupied hex without movement origin: only apply scale
-      await this.setScaleOnly(tokenDoc, this.getPairScale());
-    }
+      // A classic pair: the other token is placed again as a newcomer
+      for (const id of others) {
+        await this.positionNewcomer(key, id, {
+          oldCenter: GrappleLayout.pointAt(center, sides.get(id), canvas.grid.size),
+          newCenter: center
+        });
+      }
+    });
+    return true;
   }
 
   // ========== Hook Handlers ==========
 
   /**
-   * Handle pre-update token events to track movement
-   * Calculates movement data before the actual update occurs
+   * Handle pre-update token events on the client that requested the change
+   * Validates drags, holds back moves that need a Quick Contest, freezes rotation
+   * when leaving an occupied hex and stamps the
+   * arrival time, then attaches the movement intent to the update options, which reach
+   * the executor GM together with the change. Cell membership itself is updated on every
+   * client in {@link GrappleUtils.handleUpdateToken}.
    * 
    * @static
    * @param {TokenDocument} tokenDoc - Token being updated
    * @param {Object} changes - Pending changes to the token
    * @param {Object} options - Update options from Foundry
+   * @returns {boolean|void} False to cancel a drag that is over the weight limit or a
+   *   move that waits for a Quick Contest
    * @listens Hooks#preUpdateToken
    */
   static handlePreUpdateToken(tokenDoc, changes, options) {
-    // Determine ignore status before and after the update
-    const wasIgnored = this.shouldIgnoreToken(tokenDoc);
+    if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) return;
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled()) return;
+    if (this.state.busy.has(tokenDoc.id)) return;
     
     // Create a temporary token doc with the changes applied to check future ignore status
     const tempTokenDoc = foundry.utils.mergeObject(tokenDoc.toObject(), changes, { inplace: false });
-    const willBeIgnored = this.shouldIgnoreToken(tempTokenDoc);
-    
-    // Handle visibility state changes
-    if (!wasIgnored && willBeIgnored) {
-      // Token is becoming ignored - remove it from cell tracking
-      let currentKey = null;
-      for (const [key, tokenSet] of this.state.cells.entries()) {
-        if (tokenSet.has(tokenDoc.id)) {
-          currentKey = key;
-          break;
-        }
-      }
-      if (currentKey) {
-        this.removeFromCell(currentKey, tokenDoc.id);
-        
-        // If only 1 visible token remains in the cell, scale it to solo scale
-        const remainingSet = this.state.cells.get(currentKey);
-        if (remainingSet) {
-          const visibleTokensRemaining = [...remainingSet].filter(id => {
-            const tokenDoc = canvas.scene.tokens.get(id);
-            return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
-          });
-          
-          if (visibleTokensRemaining.length === 1) {
-            const remainingTokenId = visibleTokensRemaining[0];
-            const remainingTokenDoc = canvas.tokens.get(remainingTokenId)?.document;
-            if (remainingTokenDoc) {
-              // Schedule the scale update for after this update completes
-              setTimeout(async () => {
-                await this.setScaleOnly(remainingTokenDoc, this.getSoloScale(remainingTokenDoc));
-              }, 10);
-            }
-          }
-        }
-      }
-      return; // Don't process movement for tokens becoming ignored
-    }
+    if (this.shouldIgnoreToken(tempTokenDoc)) return;
     
-    if (wasIgnored && !willBeIgnored) {
-      // Token is becoming visible - add it to cell tracking
-      const key = this.keyFromXY(
-        'x' in changes ? changes.x : tokenDoc.x,
-        'y' in changes ? changes.y : tokenDoc.y,
-        tokenDoc.width ?? 1,
-        tokenDoc.height ?? 1
-      );
-      this.addToCell(key, tokenDoc.id);
-      
-      // Store original scale for future restoration
-      this.storeOriginalScale(tokenDoc);
-      
-      // Schedule positioning for after this update completes
-      setTimeout(async () => {
-        await this.positionNewcomer(key, tokenDoc.id);
-      }, 10);
-      return; // Don't process as movement
+    // Token is becoming visible: it arrives in its cell with this update
+    if (this.shouldIgnoreToken(tokenDoc)) {
+      this.stampArrival(changes);
+      return;
     }
     
-    // If token will still be ignored after update, skip movement processing
-    if (willBeIgnored) return;
-    
-    if (this.state.busy.has(tokenDoc.id)) return;
-    if (!('x' in changes) && !('y' in changes)) return;
+    if (!['x', 'y', 'width', 'height', 'elevation'].some(property => property in changes)) return;
 
-    // Find current cell
-    let oldKey = null;
-    for (const [key, tokenSet] of this.state.cells.entries()) {
-      if (tokenSet.has(tokenDoc.id)) {
-        oldKey = key;
-        break;
-      }
-    }
-    if (!oldKey) oldKey = this.keyFromDoc(tokenDoc);
+    // Find current cells (center cell first)
+    let oldKeys = this.getTokenKeys(tokenDoc.id);
+    if (!oldKeys.length) oldKeys = this.keysFromDoc(tokenDoc);
 
-    // Calculate destination cell
-    const newKey = this.keyFromXY(
-      'x' in changes ? changes.x : tokenDoc.x,
-      'y' in changes ? changes.y : tokenDoc.y,
-      tokenDoc.width ?? 1,
-      tokenDoc.height ?? 1
+    // Calculate destination cells
+    const newKeys = this.keysFromXY(
+      tempTokenDoc.x,
+      tempTokenDoc.y,
+      tempTokenDoc.width ?? 1,
+      tempTokenDoc.height ?? 1,
+      tempTokenDoc.elevation ?? 0
     );
 
-    if (oldKey === newKey) return;
+    if (this.sameFootprint(oldKeys, newKeys)) return;
+
+    // Drag mode: a grappler leaving its hex takes its victims along, weight permitting
+    const dragged = this.getDragVictims(tokenDoc, oldKeys);
+    if (dragged.length && !options?.[this.MODULE_ID]?.dragApproved) {
+      const verdict = GrappleDrag.checkWeight(
+        tokenDoc.actor,
+        dragged.map(id => canvas.scene.tokens.get(id)?.actor)
+      );
+      if (!verdict.allowed) {
+        this.handleOverLimitDrag(tokenDoc, foundry.utils.deepClone(changes), verdict);
+        return false;
+      }
+    }
+
+    // Quick Contest: breaking free or entering an occupied hex waits for the roll
+    if (!options?.[this.MODULE_ID]?.contestWon) {
+      const contest = GrappleContest.findContest(tokenDoc, oldKeys, newKeys);
+      if (contest) {
+        GrappleContest.request(tokenDoc, foundry.utils.deepClone(changes), contest).catch(error => {
+          console.error(`${this.MODULE_ID} | Failed to post the Quick Contest card:`, error);
+          ui.notifications.error(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.contestFailed', { name: tokenDoc.name }));
+        });
+        return false;
+      }
+    }
 
     // Prevent rotation when leaving an occupied hex
-    const oldCellSet = this.state.cells.get(oldKey);
-    if (oldCellSet && oldCellSet.size > 1 && changes.rotation !== undefined) {
+    const leavesOccupiedCell = oldKeys.some(key => (this.sceneState.cells.get(key)?.size ?? 0) > 1);
+    if (leavesOccupiedCell && changes.rotation !== undefined) {
       changes.rotation = tokenDoc.rotation;
       if (options) options.animate = false;
     }
 
-    const oldCenter = this.centerFromKey(oldKey);
-    const newCenter = this.centerFromKey(newKey);
+    this.stampArrival(changes);
 
-    // Update cell membership
-    this.removeFromCell(oldKey, tokenDoc.id);
-    this.addToCell(newKey, tokenDoc.id);
+    // Hand what only this client knows to the executor, in the update itself so it
+    // arrives with this move and is gone if the update is cancelled
+    if (options) {
+      options[this.MODULE_ID] = {
+        ...options[this.MODULE_ID],
+        intent: { origin: { x: tokenDoc.x, y: tokenDoc.y }, dragged }
+      };
+    }
+  }
+
+  /**
+   * Check whether an update changes any of the token's Token Config options
+   * 
+   * @static
+   * @param {Object} changes - Changes applied to the token
+   * @returns {boolean} True if a Grapple Party option changed
+   */
+  static hasTokenConfigChange(changes) {
+    const flags = changes.flags?.[this.MODULE_ID];
+    if (!flags) return false;
+    const options = [
+      this.FLAGS.NEVER_MANAGE,
+      this.FLAGS.ANCHOR,
+      this.FLAGS.PAIR_SCALE,
+      this.FLAGS.PREFERRED_SIDE,
+      this.FLAGS.KEEP_ROTATION
+    ];
+    return options.some(option => option in flags);
+  }
+
+  /**
+   * Check whether two footprints cover the same cells with the same center cell
+   * 
+   * @static
+   * @param {string[]} keysA - First footprint (center cell first)
+   * @param {string[]} keysB - Second footprint (center cell first)
+   * @returns {boolean} True if both footprints are identical
+   */
+  static sameFootprint(keysA, keysB) {
+    return keysA[0] === keysB[0]
+      && keysA.length === keysB.length
+      && keysA.every(key => keysB.includes(key));
+  }
+
+  /**
+   * Get the GM who performs the module's document updates on a scene
+   * The grid math needs the scene on the canvas, so it is a GM viewing the scene: the
+   * active GM if it views it, else the viewing GM with the lowest ID. With no GM on the
+   * scene, the active GM is returned; it can restore scales, but moves made there are
+   * not arranged until a GM views the scene and they are moved again.
+   * 
+   * @static
+   * @param {Scene} [scene=canvas.scene] - The scene
+   * @returns {User|null} The executor GM, or null if no GM is connected
+   */
+  static getExecutor(scene = canvas.scene) {
+    const activeGM = game.users.activeGM;
+    const viewers = game.users.filter(user => user.active && user.isGM && user.viewedScene === scene?.id);
+    if (activeGM && viewers.includes(activeGM)) return activeGM;
+    return viewers.sort((userA, userB) => userA.id.localeCompare(userB.id))[0] ?? activeGM ?? null;
+  }
+
+  /**
+   * Check whether this client is the executor of a scene
+   * A single GM performs every document update of the module on a scene; all other
+   * clients only mirror cell membership.
+   * 
+   * @static
+   * @param {Scene} [scene=canvas.scene] - The scene
+   * @returns {boolean} True if this client is the executor GM of the scene
+   */
+  static isExecutor(scene = canvas.scene) {
+    return !!this.getExecutor(scene)?.isSelf;
+  }
+
+  /**
+   * Check whether the grapple system is running on this client
+   * 
+   * @static
+   * @returns {boolean} True if the module is enabled, a scene is viewed and it is not opted out
+   */
+  static isRunning() {
+    return !!game.settings.get(this.MODULE_ID, 'moduleEnabled') && !!canvas.scene && this.isSceneEnabled();
+  }
+
+  /**
+   * Register the socket message handlers of the module
+   * Called once when the game is ready
+   * 
+   * @static
+   */
+  static registerSocketHandlers() {
+    GrappleSocket.on(GrappleSocket.TYPES.DRAG_APPROVAL, async (request, senderId) =>
+      await this.receiveDragApproval(request, senderId)
+    );
+  }
+
+  /**
+   * Get the tokens a grappler would drag along when leaving its cells
+   * Only linked targets sharing one of those cells are dragged, and only in drag mode
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - The moving token
+   * @param {string[]} oldKeys - Cells the token is leaving
+   * @returns {string[]} IDs of the tokens to drag
+   */
+  static getDragVictims(tokenDoc, oldKeys) {
+    if (!GrappleDrag.isEnabled() || !game.settings.get(this.MODULE_ID, 'moduleEnabled')) return [];
+    if (!this.isAutoArrangeActive()) return [];
+
+    const occupants = oldKeys.flatMap(key => this.getVisibleOccupants(key));
+    return GrappleLinks.getTargets(tokenDoc).filter(targetId => occupants.includes(targetId));
+  }
+
+  /**
+   * Handle a drag that was blocked because the victims are too heavy
+   * Depending on the dragOverLimit setting the GM may allow it, in which case the
+   * move is sent again; otherwise the user is told why the token did not move.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - The grappler token document
+   * @param {Object} changes - The blocked changes
+   * @param {Object} verdict - Result of {@link GrappleDrag.checkWeight}
+   */
+  static async handleOverLimitDrag(tokenDoc, changes, verdict) {
+    if (GrappleDrag.getOverLimitMode() === GrappleDrag.OVER_LIMIT.PROMPT) {
+      const request = {
+        sceneId: tokenDoc.parent.id,
+        tokenId: tokenDoc.id,
+        changes
+      };
+
+      if (this.isExecutor(tokenDoc.parent)) {
+        await this.receiveDragApproval(request, game.user.id);
+        return;
+      }
+      // Only a GM viewing the scene can work out who is dragged
+      if (this.getExecutor(tokenDoc.parent)?.viewedScene === tokenDoc.parent.id) {
+        GrappleSocket.emit(GrappleSocket.TYPES.DRAG_APPROVAL, request);
+        ui.notifications.info(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.dragApprovalRequested', {
+          name: tokenDoc.name
+        }));
+        return;
+      }
+    }
+
+    ui.notifications.warn(game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.dragBlocked', {
+      name: tokenDoc.name,
+      weight: Math.round(verdict.weight),
+      limit: Math.round(verdict.limit)
+    }));
+  }
+
+  /**
+   * Ask the executor GM to allow an over-limit drag, and replay the move if allowed
+   * The request comes from another client, so only an owner of the grappler may send
+   * it, only movement is replayed, and the weights are checked again here.
+   * 
+   * @static
+   * @async
+   * @param {Object} request - Drag approval request
+   * @param {string} request.sceneId - Scene of the grappler
+   * @param {string} request.tokenId - ID of the grappler
+   * @param {Object} request.changes - The blocked changes
+   * @param {string} senderId - ID of the user asking
+   */
+  static async receiveDragApproval(request, senderId) {
+    const scene = game.scenes.get(request?.sceneId);
+    if (!scene || !this.isExecutor(scene)) return;
+
+    const tokenDoc = scene.tokens.get(request.tokenId);
+    const sender = game.users.get(senderId);
+    if (!tokenDoc || !sender || !tokenDoc.testUserPermission(sender, 'OWNER')) return;
+    if (!this.isOnViewedScene(tokenDoc)) return;
+
+    const changes = Object.fromEntries(this.DRAG_KEYS
+      .filter(property => Number.isFinite(request.changes?.[property]))
+      .map(property => [property, request.changes[property]]));
+    if (!['x', 'y', 'elevation'].some(property => property in changes)) return;
+
+    let oldKeys = this.getTokenKeys(tokenDoc.id);
+    if (!oldKeys.length) oldKeys = this.keysFromDoc(tokenDoc);
+    const dragged = this.getDragVictims(tokenDoc, oldKeys);
+    if (!dragged.length) return;
+
+    const verdict = GrappleDrag.checkWeight(
+      tokenDoc.actor,
+      dragged.map(id => tokenDoc.parent.tokens.get(id)?.actor)
+    );
+    if (!verdict.allowed && !await GrappleDrag.confirmOverLimit(tokenDoc, verdict.weight, verdict.limit)) return;
+
+    await tokenDoc.update(changes, { [this.MODULE_ID]: { dragApproved: true } });
+  }
+
+  /**
+   * Record the arrival time of a token in its new cell as part of a pending change
+   * Written into the same document update, so no extra round trip is needed
+   * 
+   * @static
+   * @param {Object} changes - Pending changes or creation data to stamp
+   */
+  static stampArrival(changes) {
+    foundry.utils.setProperty(changes, `flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`, Date.now());
+  }
+
+  /**
+   * Handle pre-create token events to stamp the arrival time
+   * Ignored tokens get their stamp when they become visible, like in handlePreUpdateToken
+   * 
+   * @static
+   * @param {TokenDocument} tokenDoc - Token about to be created
+   * @listens Hooks#preCreateToken
+   */
+  static handlePreCreateToken(tokenDoc) {
+    if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) return;
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled(tokenDoc.parent)) return;
+    if (this.shouldIgnoreToken(tokenDoc)) return;
 
-    // Store movement data for post-update processing
-    this.state.pending.set(tokenDoc.id, { oldKey, newKey, oldCenter, newCenter });
+    const changes = {};
+    this.stampArrival(changes);
+    tokenDoc.updateSource(changes);
   }
 
   /**
-   * Handle post-update token events to execute positioning
-   * Processes stored movement data and updates token positions/scales
+   * Handle post-update token events
+   * Every client mirrors the cell membership change; the executor GM then settles
+   * the origin cells and positions the token in its destination cell.
    * 
    * @static
    * @async
    * @param {TokenDocument} tokenDoc - Token that was updated
+   * @param {Object} changes - Changes applied to the token
+   * @param {Object} options - Update options from Foundry
    * @listens Hooks#updateToken
    */
-  static async handleUpdateToken(tokenDoc) {
+  static async handleUpdateToken(tokenDoc, changes, options) {
     // Check if module is enabled
     if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) return;
     
-    // Skip tokens that should be ignored
-    if (this.shouldIgnoreToken(tokenDoc)) return;
+    // Only the viewed scene has a grid and occupancy to work with; its executor views it too
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled()) return;
     
     if (this.state.busy.has(tokenDoc.id)) return;
     
-    const movementData = this.state.pending.get(tokenDoc.id);
-    if (!movementData) return;
-    this.state.pending.delete(tokenDoc.id);
+    // Make Anchor re-stamps arrival times in place; observers follow the new order
+    const moduleOptions = options?.[this.MODULE_ID];
+    const relocated = !!moduleOptions?.relocated?.includes(tokenDoc.id);
+    if (moduleOptions?.managed && !relocated
+      && foundry.utils.hasProperty(changes, `flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`)) {
+      this.refreshFirstInCell(tokenDoc.id);
+    }
+    
+    const relevant = ['x', 'y', 'width', 'height', 'elevation', 'hidden', 'scale', 'texture'];
+    // A token changing sides moves over to its new allies
+    const configChanged = this.hasTokenConfigChange(changes)
+      || ('disposition' in changes && this.getLayoutStyle() === GrappleLayout.STYLES.SIDES);
+    if (!configChanged && !relevant.some(property => property in changes)) return;
+    
+    // Module arrangements stay inside the token's cell; only relocations change membership
+    if (moduleOptions?.managed && !relocated) return;
+    
+    const wasTracked = this.isTokenManaged(tokenDoc.id);
+    
+    // Token became ignored: drop it and settle whoever is left
+    if (this.shouldIgnoreToken(tokenDoc)) {
+      if (!wasTracked) {
+        // A token lying underneath settles below whoever stands in its new hex
+        if (this.isLyingUnderneath(tokenDoc) && this.isExecutor() && this.isAutoArrangeActive()) {
+          await this.batchUpdates(() => this.layerByStatus(this.keyFromDoc(tokenDoc)));
+        }
+        return;
+      }
+      const keys = this.removeFromCells(tokenDoc.id);
+      if (!this.isExecutor()) return;
+      const arrange = this.isAutoArrangeActive();
+      await this.batchUpdates(async () => {
+        // Out of its cells, it no longer holds or is held by anyone there
+        await GrappleLinks.pruneLinks(tokenDoc);
+        if (!arrange) return;
 
-    // Handle origin cell: if only 1 token remains, scale it to solo scale
-    const oldCellSet = this.state.cells.get(movementData.oldKey);
-    if (oldCellSet && oldCellSet.size === 1) {
-      // Count only visible, non-ignored tokens in the old cell
-      const visibleTokensInOldCell = [...oldCellSet].filter(id => {
-        const tokenDoc = canvas.scene.tokens.get(id);
-        return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
+        // A token opted out in its Token Config goes back to its original scale
+        if (configChanged && this.getTokenFlag(tokenDoc, this.FLAGS.ARRANGED)) {
+          await this.setScaleOnly(tokenDoc, this.getSoloScale(tokenDoc));
+          await this.restoreFacing(tokenDoc);
+        }
+        for (const key of keys) {
+          await this.settleCell(key, [tokenDoc.id]);
+        }
       });
-      
-      if (visibleTokensInOldCell.length === 1) {
-        const remainingTokenId = visibleTokensInOldCell[0];
-      const remainingTokenDoc = canvas.tokens.get(remainingTokenId)?.document;
-      if (remainingTokenDoc) {
-        await this.setScaleOnly(remainingTokenDoc, this.getSoloScale(remainingTokenDoc));
+      return;
+    }
+    
+    const newKeys = this.keysFromDoc(tokenDoc);
+    
+    // Token became visible: it enters its cell like a newcomer
+    if (!wasTracked) {
+      this.storeOriginalScale(tokenDoc);
+      this.addToCells(newKeys, tokenDoc.id);
+      if (this.isExecutor() && this.isAutoArrangeActive()) {
+        await this.batchUpdates(() => this.positionNewcomer(newKeys[0], tokenDoc.id));
+      }
+      return;
+    }
+    
+    const oldKeys = this.getTokenKeys(tokenDoc.id);
+    if (this.sameFootprint(oldKeys, newKeys)) {
+      // Same cells but new Token Config options: re-arrange with them
+      if (configChanged && this.isExecutor() && this.isAutoArrangeActive()) {
+        await this.batchUpdates(async () => {
+          if (!this.usesFacing(tokenDoc)) await this.restoreFacing(tokenDoc);
+          for (const key of oldKeys) {
+            await this.settleCell(key);
+          }
+        });
+      }
+      return;
+    }
+    
+    // Update cell membership
+    this.removeFromCells(tokenDoc.id);
+    this.addToCells(newKeys, tokenDoc.id);
+    
+    // Movement intent attached by the moving client in handlePreUpdateToken
+    const intent = moduleOptions?.intent;
+    
+    // Observers stop here: the executor GM does the arranging
+    if (!this.isExecutor()) return;
+    if (!this.isAutoArrangeActive()) {
+      // Links only hold while both tokens share a cell
+      await this.batchUpdates(() => GrappleLinks.pruneLinks(tokenDoc));
+      return;
+    }
+    
+    const [oldKey] = oldKeys;
+    const [newKey] = newKeys;
+    const movementData = {
+      oldKey,
+      newKey,
+      oldKeys,
+      newKeys,
+      oldCenter: this.centerFromKey(oldKey),
+      newCenter: this.centerFromKey(newKey),
+      origin: intent?.origin,
+      dragged: intent?.dragged ?? []
+    };
+
+    // Let the move play out, then ease the pair into place
+    await this.waitForMovement(tokenDoc);
+
+    // Origin and destination cells are written together in one update
+    await this.batchUpdates(async () => {
+      // Drag mode: move the victims first, so the origin cells are settled without them
+      if (movementData.dragged?.length) {
+        await this.dragAlong(tokenDoc, movementData);
+      }
+
+      // Handle origin cells the token no longer covers: if only 1 token remains,
+      // center it at solo scale; if it is still crowded, re-flow the remaining occupants.
+      // A dragging group left together, so it is reported as one departure
+      for (const oldKey of movementData.oldKeys) {
+        if (movementData.newKeys.includes(oldKey)) continue;
+        await this.settleCell(oldKey, [tokenDoc.id, ...movementData.dragged]);
       }
+
+      // Handle destination cell: position the newcomer (a dragging group is already in place)
+      if (!movementData.dragged?.length) {
+        await this.positionNewcomer(movementData.newKey, tokenDoc.id, movementData);
+        await this.faceOpponent(movementData.newKey, tokenDoc.id);
+      }
+
+      // Links only hold while both tokens share a cell
+      for (const id of [tokenDoc.id, ...movementData.dragged]) {
+        const movedDoc = tokenDoc.parent.tokens.get(id);
+        if (movedDoc) await GrappleLinks.pruneLinks(movedDoc);
+      }
+    });
+
+    // Offer a link on entering an occupied cell
+    if (this.getVisibleOccupants(movementData.newKey).length > 1) {
+      await GrappleLinks.onEnterOccupiedCell(tokenDoc, movementData.newKey);
+    }
+  }
+
+  /**
+   * Move a grappler's victims along with it into the destination cell
+   * The whole group shifts by the distance between the old and new cell centers, so
+   * the pair keeps its scale and relative arrangement. If the destination already
+   * holds other tokens, the cell is re-laid out.
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} grapplerDoc - The grappler that moved
+   * @param {Object} movement - Movement data built in {@link GrappleUtils.handleUpdateToken}
+   */
+  static async dragAlong(grapplerDoc, movement) {
+    const dx = movement.newCenter.x - movement.oldCenter.x;
+    const dy = movement.newCenter.y - movement.oldCenter.y;
+    const grapplerArrival = this.getTokenFlag(grapplerDoc, this.FLAGS.ARRIVED_AT) ?? Date.now();
+    const { firstInCell } = this.sceneState;
+
+    for (const [index, victimId] of movement.dragged.entries()) {
+      const victimDoc = canvas.scene.tokens.get(victimId);
+      if (!victimDoc) continue;
+
+      const x = Math.round(victimDoc.x + dx);
+      const y = Math.round(victimDoc.y + dy);
+
+      // Move the victim's membership by hand: the batch is busy, so the hooks skip it
+      const oldKeys = this.removeFromCells(victimId);
+      this.addToCells(this.keysFromXY(x, y, victimDoc.width ?? 1, victimDoc.height ?? 1, victimDoc.elevation ?? 0), victimId);
+      // Cells the grappler leaves too are settled by the caller, with the whole group
+      for (const oldKey of oldKeys) {
+        if (movement.newKeys.includes(oldKey) || movement.oldKeys.includes(oldKey)) continue;
+        await this.settleCell(oldKey, [victimId]);
+      }
+
+      // The victim keeps arriving before its grappler, so it stays the cell's anchor
+      if (index === 0 && firstInCell.get(movement.newKey) === grapplerDoc.id) {
+        firstInCell.set(movement.newKey, victimId);
       }
+
+      await this.updateTokenSafe(victimDoc, {
+        x,
+        y,
+        [`flags.${this.MODULE_ID}.${this.FLAGS.ARRIVED_AT}`]: grapplerArrival - movement.dragged.length + index
+      }, true, { relocated: true });
     }
 
-    // Handle destination cell: position the newcomer
-    await this.positionNewcomer(movementData.newKey, tokenDoc.id, movementData);
+    // The grappler keeps its offset from the cell center
+    await this.updateTokenSafe(grapplerDoc, {
+      x: Math.round(movement.origin.x + dx),
+      y: Math.round(movement.origin.y + dy)
+    });
+
+    const group = new Set([grapplerDoc.id, ...movement.dragged]);
+    if (this.getVisibleOccupants(movement.newKey).some(id => !group.has(id))) {
+      await this.arrangeCell(movement.newKey);
+    }
   }
 
   /**
    * Handle token creation events
-   * Positions newly created tokens based on cell occupancy
+   * Every client records the cell membership; the executor GM positions the token
    * 
    * @static
    * @async
@@ -764,38 +3053,67 @@ export class GrappleUtils {
     // Check if module is enabled
     if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) return;
     
-    // Skip tokens that should be ignored
-    if (this.shouldIgnoreToken(tokenDoc)) return;
+    // Only the viewed scene has a grid and occupancy to work with; its executor views it too
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled()) return;
+    
+    // Skip tokens that should be ignored; one lying underneath still settles below the others
+    if (this.shouldIgnoreToken(tokenDoc)) {
+      if (this.isLyingUnderneath(tokenDoc) && this.isExecutor() && this.isAutoArrangeActive()) {
+        await this.batchUpdates(() => this.layerByStatus(this.keyFromDoc(tokenDoc)));
+      }
+      return;
+    }
     
     // Store original scale for future restoration
     this.storeOriginalScale(tokenDoc);
     
-    const key = this.keyFromDoc(tokenDoc);
-    this.addToCell(key, tokenDoc.id);
+    const keys = this.keysFromDoc(tokenDoc);
+    this.addToCells(keys, tokenDoc.id);
+    if (!this.isExecutor() || !this.isAutoArrangeActive()) return;
+
+    await this.batchUpdates(() => this.placeCreatedToken(tokenDoc, keys));
+  }
+
+  /**
+   * Position a newly created token and re-arrange the cells it landed in
+   * 
+   * @static
+   * @async
+   * @param {TokenDocument} tokenDoc - Newly created token
+   * @param {string[]} keys - Cells the token covers (center cell first)
+   */
+  static async placeCreatedToken(tokenDoc, keys) {
+    const [key] = keys;
+    await this.layerByStatus(key);
+
+    // Large creature or anchor: stays at full size, re-arranges whoever it was dropped on
+    if (this.isAnchored(tokenDoc)) {
+      if (!this.isLargeToken(tokenDoc)) await this.centerInCell(tokenDoc, key);
+      for (const footprintKey of keys) {
+        if (this.getVisibleOccupants(footprintKey).length > 1) {
+          await this.arrangeCell(footprintKey);
+        }
+      }
+      return;
+    }
 
-    const tokenSet = this.state.cells.get(key);
+    const tokenSet = this.sceneState.cells.get(key);
     if (tokenSet?.size === 1) {
       // First token in hex → center and apply solo scale
-      const center = this.centerFromKey(key);
-      const scale = this.getSoloScale(tokenDoc);
-      const { w, h } = this.getPixelSize(tokenDoc, scale);
-      
-      await this.updateTokenSafe(tokenDoc, {
-        x: Math.round(center.x - w / 2),
-        y: Math.round(center.y - h / 2),
-        scale: scale,
-        'texture.scaleX': scale,
-        'texture.scaleY': scale
-      });
+      await this.centerInCell(tokenDoc, key);
+    } else if (this.usesLayoutEngine(this.getVisibleOccupants(key).length) || this.getAnchorOccupant(key)) {
+      // Created in a crowded hex or a large creature's footprint: re-flow every occupant
+      await this.arrangeCell(key);
     } else {
       // Created in occupied hex: just apply pair scale, don't move
-      await this.setScaleOnly(tokenDoc, this.getPairScale());
+      await this.rescaleOccupants(key);
     }
   }
 
   /**
    * Handle token deletion events
-   * Cleans up cell membership and rescales remaining tokens if needed
+   * Every client cleans up cell membership; the executor GM rescales the remaining
+   * tokens and removes links to the deleted one
    * 
    * @static
    * @async
@@ -806,39 +3124,35 @@ export class GrappleUtils {
     // Check if module is enabled
     if (!game.settings.get(this.MODULE_ID, 'moduleEnabled')) return;
     
-    // Skip tokens that should be ignored
-    if (this.shouldIgnoreToken(tokenDoc)) return;
+    // Only the viewed scene has a grid and occupancy to work with; its executor views it too
+    if (!this.isOnViewedScene(tokenDoc) || !this.isSceneEnabled()) return;
     
-    let key = null;
-    for (const [cellKey, tokenSet] of this.state.cells.entries()) {
-      if (tokenSet.has(tokenDoc.id)) {
-        key = cellKey;
-        break;
-      }
-    }
-    if (!key) return;
-
-    this.removeFromCell(key, tokenDoc.id);
+    // Ignored tokens are not tracked in any cell
+    const keys = this.shouldIgnoreToken(tokenDoc) ? [] : this.removeFromCells(tokenDoc.id);
     
     // Clean up stored original scale
-    this.state.originalScales.delete(tokenDoc.id);
+    this.sceneState.originalScales.delete(tokenDoc.id);
+    if (!this.isExecutor()) return;
 
-    // If only 1 token remains in hex, scale it to solo scale (don't move)
-    const remainingSet = this.state.cells.get(key);
-    if (remainingSet) {
-      const visibleTokensRemaining = [...remainingSet].filter(id => {
-        const tokenDoc = canvas.scene.tokens.get(id);
-        return tokenDoc && !this.shouldIgnoreToken(tokenDoc);
-      });
-      
-      if (visibleTokensRemaining.length === 1) {
-        const remainingTokenId = visibleTokensRemaining[0];
-      const remainingTokenDoc = canvas.tokens.get(remainingTokenId)?.document;
-      if (remainingTokenDoc) {
-        await this.setScaleOnly(remainingTokenDoc, this.getSoloScale(remainingTokenDoc));
+    // Links and conditions go even with an ignored token, which may have been hidden or
+    // defeated while it held someone or was held; a linked actor keeps no condition
+    await GrappleGurps.clearConditions(tokenDoc);
+    const scene = tokenDoc.parent;
+    await this.batchUpdates(async () => {
+      await GrappleLinks.removeLinksTo(tokenDoc.id, scene);
+
+      // Tokens it held are released
+      for (const targetId of GrappleLinks.getTargets(tokenDoc)) {
+        await this.afterBatch(() => GrappleGurps.syncConditions(scene.tokens.get(targetId)));
       }
+      if (!this.isAutoArrangeActive()) return;
+
+      // If only 1 token remains in a cell, center it at solo scale
+      // If more remain, re-flow the cell
+      for (const key of keys) {
+        await this.settleCell(key, [tokenDoc.id]);
       }
-    }
+    });
   }
 
   /**
@@ -10,6 +10,14 @@
  */
 
 import { GrappleUtils } from './grapple-utils.js';
+import { GrappleSocket } from './grapple-socket.js';
+import { GrappleApi } from './grapple-api.js';
+import { GrappleCommands } from './grapple-commands.js';
+import { GrappleTokenConfig } from './grapple-token-config.js';
+import { GrappleSceneConfig } from './grapple-scene-config.js';
+import { GrappleOverlay } from './grapple-overlay.js';
+import { GrappleGurps } from './grapple-gurps.js';
+import { GrappleContest } from './grapple-contest.js';
 
 /**
  * Module namespace identifier
@@ -26,6 +34,12 @@ Hooks.once('init', () => {
   
   
   registerModuleSettings();
+  
+  // Canvas overlay showing shared hexes and grapple links
+  GrappleOverlay.register();
+  
+  // Public API for macros and other modules
+  game.modules.get(MODULE_ID).api = GrappleApi;
 });
 
 /**
@@ -35,34 +49,51 @@ Hooks.once('init', () => {
 Hooks.once('ready', () => {
   console.log(`${MODULE_ID} | GURPS Grapple Party module ready`);
   
-  // Initialize the grapple system if enabled
+  // Listen on the module socket (the executor GM receives drag approval requests from players)
+  GrappleSocket.register();
+  GrappleUtils.registerSocketHandlers();
+  
+  // Initialize the grapple system if enabled; attack and defense rolls follow the
+  // grappling rules while it runs (GURPS system only)
   if (game.settings.get(MODULE_ID, 'moduleEnabled')) {
     GrappleUtils.initialize();
+    GrappleGurps.wrapRolls();
   }
 });
 
 /**
- * Handle chat commands for module control
+ * Add the Grapple Party tab to token and prototype token sheets
+ * @listens Hooks#renderTokenConfig
+ * @listens Hooks#renderPrototypeTokenConfig
+ */
+Hooks.on('renderTokenConfig', (app, html) => GrappleTokenConfig.onRenderTokenConfig(app, html));
+Hooks.on('renderPrototypeTokenConfig', (app, html) => GrappleTokenConfig.onRenderTokenConfig(app, html));
+
+/**
+ * Add the Grapple Party tab to scene sheets
+ * @listens Hooks#renderSceneConfig
+ */
+Hooks.on('renderSceneConfig', (app, html) => GrappleSceneConfig.onRenderSceneConfig(app, html));
+
+/**
+ * Take stale grapple modifiers out of the GURPS modifier bucket when a link changes
+ * @listens Hooks#updateToken
+ * @listens Hooks#deleteToken
+ */
+Hooks.on('updateToken', (tokenDoc, changes) => GrappleGurps.onUpdateToken(tokenDoc, changes));
+Hooks.on('deleteToken', (tokenDoc) => GrappleGurps.onDeleteToken(tokenDoc));
+
+/**
+ * Wire the roll buttons of Quick Contest chat cards
+ * @listens Hooks#renderChatMessageHTML
+ */
+Hooks.on('renderChatMessageHTML', (message, html) => GrappleContest.onRenderChatMessage(message, html));
+
+/**
+ * Handle /gp chat commands (see GrappleCommands for the subcommands)
  * @listens Hooks#chatMessage
  */
-Hooks.on('chatMessage', (log, message, data) => {
-  
-  if (!game.user.isGM) return true;
-  
-  const command = message.trim().toLowerCase();
-  
-  if (command === '/gp on') {
-    enableModule();
-    return false; 
-  }
-  
-  if (command === '/gp off') {
-    disableModule();
-    return false; 
-  }
-  
-  return true; 
-});
+Hooks.on('chatMessage', (log, message, data) => GrappleCommands.handleChatMessage(message));
 
 /**
  * Register all module settings in the game settings menu
@@ -73,11 +104,22 @@ Hooks.on('chatMessage', (log, message, data) => {
 function registerModuleSettings() {
 
   // Module enabled/disabled toggle (hidden from menu, controlled via chat)
+  // Every client starts or stops tracking when the GM toggles it
   game.settings.register(MODULE_ID, 'moduleEnabled', {
     scope: 'world',
     config: false,
     type: Boolean,
-    default: true
+    default: true,
+    onChange: enabled => {
+      if (enabled) {
+        GrappleUtils.initialize();
+        GrappleGurps.wrapRolls();
+      } else {
+        GrappleUtils.cleanup();
+        GrappleGurps.unwrapRolls();
+      }
+      GrappleOverlay.scheduleRefresh();
+    }
   });
 
   // Paired token scale setting - now configurable
@@ -110,6 +152,254 @@ function registerModuleSettings() {
     }
   });
 
+  // Gridless proximity radius - how close token centers must be to share a cell on gridless scenes
+  game.settings.register(MODULE_ID, 'gridlessRadius', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.gridlessRadius.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.gridlessRadius.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0.5,
+    range: {
+      min: 0.1,
+      max: 2.0,
+      step: 0.05
+    }
+  });
+
+  // Layout style - how occupants are spread when a hex gets crowded
+  game.settings.register(MODULE_ID, 'layoutStyle', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'classic',
+    choices: {
+      classic: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.choices.classic',
+      ring: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.choices.ring',
+      arc: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.choices.arc',
+      grid: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.choices.grid',
+      sides: 'GURPS_GRAPPLE_PARTY.settings.layoutStyle.choices.sides'
+    }
+  });
+
+  // Grapple link mode - whether entering an occupied hex creates a grappler → target link
+  game.settings.register(MODULE_ID, 'grappleLinkMode', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.grappleLinkMode.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.grappleLinkMode.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'prompt',
+    choices: {
+      off: 'GURPS_GRAPPLE_PARTY.settings.grappleLinkMode.choices.off',
+      prompt: 'GURPS_GRAPPLE_PARTY.settings.grappleLinkMode.choices.prompt',
+      auto: 'GURPS_GRAPPLE_PARTY.settings.grappleLinkMode.choices.auto'
+    }
+  });
+
+  // Drag mode - a linked grappler drags its victims along when it moves
+  game.settings.register(MODULE_ID, 'dragMode', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.dragMode.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.dragMode.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Drag limit - how much a grappler can drag, as a multiple of its Basic Lift
+  game.settings.register(MODULE_ID, 'dragLiftMultiple', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.dragLiftMultiple.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.dragLiftMultiple.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 10,
+    range: {
+      min: 1,
+      max: 50,
+      step: 1
+    }
+  });
+
+  // Over-limit drag - block the move or let the GM decide
+  game.settings.register(MODULE_ID, 'dragOverLimit', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.dragOverLimit.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.dragOverLimit.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'prompt',
+    choices: {
+      block: 'GURPS_GRAPPLE_PARTY.settings.dragOverLimit.choices.block',
+      prompt: 'GURPS_GRAPPLE_PARTY.settings.dragOverLimit.choices.prompt'
+    }
+  });
+
+  // Animation of the module's slides and rescales (0 = instant)
+  game.settings.register(MODULE_ID, 'animationDuration', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.animationDuration.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.animationDuration.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 400,
+    range: {
+      min: 0,
+      max: 2000,
+      step: 50
+    }
+  });
+
+  game.settings.register(MODULE_ID, 'animationEasing', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'easeInOutCosine',
+    choices: {
+      linear: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.choices.linear',
+      easeInOutCosine: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.choices.easeInOutCosine',
+      easeOutCircle: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.choices.easeOutCircle',
+      easeInCircle: 'GURPS_GRAPPLE_PARTY.settings.animationEasing.choices.easeInCircle'
+    }
+  });
+
+  // Turn paired tokens toward each other (restored when they separate)
+  game.settings.register(MODULE_ID, 'faceOpponents', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.faceOpponents.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.faceOpponents.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Quick Contest before breaking free (or entering an occupied hex)
+  game.settings.register(MODULE_ID, 'quickContest', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.quickContest.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.quickContest.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'off',
+    choices: {
+      off: 'GURPS_GRAPPLE_PARTY.settings.quickContest.choices.off',
+      breakFree: 'GURPS_GRAPPLE_PARTY.settings.quickContest.choices.breakFree',
+      all: 'GURPS_GRAPPLE_PARTY.settings.quickContest.choices.all'
+    }
+  });
+
+  // Restore original scales and hex centers when a combat ends
+  game.settings.register(MODULE_ID, 'restoreOnCombatEnd', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.restoreOnCombatEnd.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.restoreOnCombatEnd.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  // Only arrange tokens automatically while a combat runs on the scene
+  game.settings.register(MODULE_ID, 'arrangeOnlyInCombat', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.arrangeOnlyInCombat.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.arrangeOnlyInCombat.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // GURPS system only: Grappled/Pinned status effects follow the grapple links
+  game.settings.register(MODULE_ID, 'gurpsConditions', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.gurpsConditions.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.gurpsConditions.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Scale paired tokens by their GURPS Size Modifier (flat pair scale without SM data)
+  game.settings.register(MODULE_ID, 'sizeModifierScaling', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.sizeModifierScaling.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.sizeModifierScaling.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // Elevation band - tokens only share a hex when their elevations are this close (0 = ignore elevation)
+  game.settings.register(MODULE_ID, 'elevationBand', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.elevationBand.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.elevationBand.hint',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    range: {
+      min: 0,
+      max: 50,
+      step: 1
+    },
+    // Cell keys depend on the band, so occupancy is rebuilt
+    onChange: () => {
+      if (game.settings.get(MODULE_ID, 'moduleEnabled')) GrappleUtils.bootstrap();
+    }
+  });
+
+  // Defeated tokens - managed, ignored, or lying underneath the others
+  game.settings.register(MODULE_ID, 'defeatedTokens', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.defeatedTokens.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.defeatedTokens.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'manage',
+    choices: {
+      manage: 'GURPS_GRAPPLE_PARTY.settings.statusRules.manage',
+      ignore: 'GURPS_GRAPPLE_PARTY.settings.statusRules.ignore',
+      underneath: 'GURPS_GRAPPLE_PARTY.settings.statusRules.underneath'
+    },
+    // Ignored tokens are not occupants, so occupancy is rebuilt
+    onChange: () => {
+      if (game.settings.get(MODULE_ID, 'moduleEnabled')) GrappleUtils.bootstrap();
+    }
+  });
+
+  // Unconscious tokens - managed, ignored, or lying underneath the others
+  game.settings.register(MODULE_ID, 'unconsciousTokens', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.unconsciousTokens.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.unconsciousTokens.hint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'manage',
+    choices: {
+      manage: 'GURPS_GRAPPLE_PARTY.settings.statusRules.manage',
+      ignore: 'GURPS_GRAPPLE_PARTY.settings.statusRules.ignore',
+      underneath: 'GURPS_GRAPPLE_PARTY.settings.statusRules.underneath'
+    },
+    // Ignored tokens are not occupants, so occupancy is rebuilt
+    onChange: () => {
+      if (game.settings.get(MODULE_ID, 'moduleEnabled')) GrappleUtils.bootstrap();
+    }
+  });
+
+  // Prone tokens are drawn below the standing tokens of their hex
+  game.settings.register(MODULE_ID, 'proneBelow', {
+    name: 'GURPS_GRAPPLE_PARTY.settings.proneBelow.name',
+    hint: 'GURPS_GRAPPLE_PARTY.settings.proneBelow.hint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
   // Maximum scale threshold - tokens larger than this are ignored
   game.settings.register(MODULE_ID, 'maxIgnoredScale', {
     name: 'GURPS_GRAPPLE_PARTY.settings.maxIgnoredScale.name',
@@ -125,6 +415,15 @@ function registerModuleSettings() {
     }
   });
 
+  // Grapple overlay toggle (per user, switched from the scene controls)
+  game.settings.register(MODULE_ID, 'showOverlay', {
+    scope: 'client',
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => GrappleOverlay.scheduleRefresh()
+  });
+
   // Button visibility setting - controls if the scene control button is shown
   game.settings.register(MODULE_ID, 'showSceneButton', {
     name: 'GURPS_GRAPPLE_PARTY.settings.showSceneButton.name',
@@ -146,44 +445,6 @@ function registerModuleSettings() {
   });
 }
 
-/**
- * Enable the grapple module
- * Updates settings and initializes the system
- * 
- * @async
- * @function enableModule
- */
-async function enableModule() {
-  try {
-    await game.settings.set(MODULE_ID, 'moduleEnabled', true);
-    GrappleUtils.initialize();
-    ui.notifications.info(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.moduleEnabled') || 'GURPS Grapple Party: Módulo ativado');
-    console.log(`${MODULE_ID} | Module enabled via chat command`);
-  } catch (error) {
-    console.error(`${MODULE_ID} | Error enabling module:`, error);
-    ui.notifications.error('Erro ao ativar o módulo');
-  }
-}
-
-/**
- * Disable the grapple module
- * Updates settings and cleans up the system
- * 
- * @async
- * @function disableModule
- */
-async function disableModule() {
-  try {
-    await game.settings.set(MODULE_ID, 'moduleEnabled', false);
-    GrappleUtils.cleanup();
-    ui.notifications.info(game.i18n.localize('GURPS_GRAPPLE_PARTY.notifications.moduleDisabled') || 'GURPS Grapple Party: Módulo desativado');
-    console.log(`${MODULE_ID} | Module disabled via chat command`);
-  } catch (error) {
-    console.error(`${MODULE_ID} | Error disabling module:`, error);
-    ui.notifications.error('Erro ao desativar o módulo');
-  }
-}
-
 /**
  * Dialog class for token reset functionality
  * Provides a confirmation dialog before resetting all tokens to their original scale.
@@ -251,26 +512,7 @@ class TokenResetDialog extends FormApplication {
         })
       );
 
-      // ======================================================================
-      // ======================= INÍCIO DA CORREÇÃO ===========================
-      // ======================================================================
-      // Reset all tokens to their original scale values.
-      // Uses getSoloScale to ensure there's always a valid fallback (the token's current scale)
-      // if the original scale was never stored. This prevents resetting to 1.
-      const updates = tokens.map(tokenDoc => {
-        const resetScale = GrappleUtils.getSoloScale(tokenDoc);
-        return {
-          _id: tokenDoc.id,
-          scale: resetScale,
-          'texture.scaleX': resetScale,
-          'texture.scaleY': resetScale
-        };
-      });
-      // ======================================================================
-      // ======================== FIM DA CORREÇÃO =============================
-      // ======================================================================
-
-      await canvas.scene.updateEmbeddedDocuments('Token', updates);
+      await GrappleUtils.resetTokens(tokens);
 
       ui.notifications.info(
         game.i18n.format('GURPS_GRAPPLE_PARTY.notifications.tokensReset', {
@@ -320,12 +562,22 @@ Hooks.on("getSceneControlButtons", (controls) => {
       onClick: () => {
         const isEnabled = game.settings.get(MODULE_ID, 'moduleEnabled');
         if (isEnabled) {
-          disableModule();
+          GrappleCommands.disableModule();
         } else {
-          enableModule();
+          GrappleCommands.enableModule();
         }
       },
       visible: game.user.isGM && game.settings.get(MODULE_ID, 'showSceneButton')
     };
+
+    tokenControls.tools["gurps-grapple-party-overlay"] = {
+      name: "gurps-grapple-party-overlay",
+      title: "GURPS_GRAPPLE_PARTY.controls.overlay",
+      icon: "fas fa-draw-polygon",
+      toggle: true,
+      active: GrappleOverlay.isShown(),
+      onChange: (event, active) => GrappleOverlay.setShown(active),
+      visible: true
+    };
   }
 });
\ No newline at end of file